@@ -3,10 +3,22 @@ import { defineConfig } from 'astro/config';
 import mdx from '@astrojs/mdx';
 
 import cloudflare from '@astrojs/cloudflare';
+import { remarkRedundantStepNavigation } from './src/plugins/remark-redundant-step-navigation';
+import { remarkCodeBlockSource } from './src/plugins/remark-code-block-source';
+import { codeAnnotations, codeDefaultColor, codeThemes } from './src/plugins/shiki-code-annotations';
+import validateContent from './src/integrations/validate-content';
 
 // https://astro.build/config
 export default defineConfig({
-  integrations: [mdx()],
+  integrations: [mdx(), validateContent()],
+  markdown: {
+    remarkPlugins: [remarkRedundantStepNavigation, remarkCodeBlockSource],
+    shikiConfig: {
+      themes: codeThemes,
+      defaultColor: codeDefaultColor,
+      transformers: [codeAnnotations()],
+    },
+  },
   adapter: cloudflare({
     platformProxy: {
       enabled: true
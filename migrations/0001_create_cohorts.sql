@@ -0,0 +1,31 @@
+-- Workshop sessions (src/api/cohorts.ts)
+
+CREATE TABLE cohorts (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  -- Bearer token for the instructor dashboard
+  instructor_key TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
+CREATE TABLE participants (
+  id TEXT PRIMARY KEY,
+  cohort_code TEXT NOT NULL REFERENCES cohorts (code) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  -- Step the participant has open, and since when (ms)
+  lab TEXT,
+  step INTEGER,
+  step_since INTEGER,
+  last_seen INTEGER NOT NULL,
+  joined_at INTEGER NOT NULL
+);
+
+CREATE INDEX participants_by_cohort ON participants (cohort_code);
+
+CREATE TABLE completions (
+  participant_id TEXT NOT NULL REFERENCES participants (id) ON DELETE CASCADE,
+  lab TEXT NOT NULL,
+  step INTEGER NOT NULL,
+  completed_at INTEGER NOT NULL,
+  PRIMARY KEY (participant_id, lab, step)
+);
@@ -6,7 +6,21 @@ import { ThemeToggle } from './components/ThemeToggle.js';
 import { ProgressTracker } from './components/ProgressTracker.js';
 import { Navigation } from './components/Navigation.js';
 import { LabNavigation } from './components/LabNavigation.js';
+import { StepToc } from './components/StepToc.js';
 import { CopyToClipboard } from './components/CopyToClipboard.js';
+import { CodeTabs } from './components/CodeTabs.js';
+import { CommandPalette } from './components/CommandPalette.js';
+import { KeyboardShortcuts } from './components/KeyboardShortcuts.js';
+import { StepBrowser } from './components/StepBrowser.js';
+import { ResumeCard } from './components/ResumeCard.js';
+import { ProgressSync } from './components/ProgressSync.js';
+import { ProgressBackup } from './components/ProgressBackup.js';
+import { Quiz } from './components/Quiz.js';
+import { CohortSession } from './components/CohortSession.js';
+import { CertificatePanel } from './components/CertificatePanel.js';
+import { CertificateDownload } from './components/CertificateDownload.js';
+import { InstructorSessions } from './components/InstructorSessions.js';
+import { InstructorDashboard } from './components/InstructorDashboard.js';
 import { DOMUtils } from './utils/dom.js';
 
 class MCPWorkshopApp {
@@ -95,6 +109,14 @@ class MCPWorkshopApp {
       console.warn('⚠️ Lab navigation initialization failed:', error);
     }
 
+    // Initialize the step outline and heading links (needs lab navigation)
+    try {
+      this.components.stepToc = new StepToc(this.components.labNavigation);
+      console.log('✅ Step outline initialized');
+    } catch (error) {
+      console.warn('⚠️ Step outline initialization failed:', error);
+    }
+
     // Initialize progress tracker
     try {
       this.components.progressTracker = new ProgressTracker();
@@ -103,6 +125,57 @@ class MCPWorkshopApp {
       console.warn('⚠️ Progress tracker initialization failed:', error);
     }
 
+    // Initialize progress sync (needs the progress tracker)
+    try {
+      this.components.progressSync = new ProgressSync(this.components.progressTracker);
+      console.log('✅ Progress sync initialized');
+    } catch (error) {
+      console.warn('⚠️ Progress sync initialization failed:', error);
+    }
+
+    // Initialize progress backup (download / restore from file)
+    try {
+      this.components.progressBackup = new ProgressBackup(
+        this.components.progressTracker,
+        this.components.themeToggle
+      );
+      console.log('✅ Progress backup initialized');
+    } catch (error) {
+      console.warn('⚠️ Progress backup initialization failed:', error);
+    }
+
+    // Initialize knowledge-check quizzes (results are stored by the progress tracker)
+    try {
+      this.components.quiz = new Quiz(this.components.progressTracker);
+      console.log('✅ Quiz initialized');
+    } catch (error) {
+      console.warn('⚠️ Quiz initialization failed:', error);
+    }
+
+    // Initialize workshop session reporting (lab pages)
+    try {
+      this.components.cohortSession = new CohortSession();
+      console.log('✅ Cohort session initialized');
+    } catch (error) {
+      console.warn('⚠️ Cohort session initialization failed:', error);
+    }
+
+    // Initialize the completion certificate offer (lab pages, needs the progress tracker)
+    try {
+      this.components.certificatePanel = new CertificatePanel(this.components.progressTracker);
+      console.log('✅ Certificate panel initialized');
+    } catch (error) {
+      console.warn('⚠️ Certificate panel initialization failed:', error);
+    }
+
+    // Initialize tabbed code alternatives
+    try {
+      this.components.codeTabs = new CodeTabs();
+      console.log('✅ Code tabs initialized');
+    } catch (error) {
+      console.warn('⚠️ Code tabs initialization failed:', error);
+    }
+
     // Initialize copy to clipboard
     try {
       this.components.copyToClipboard = new CopyToClipboard();
@@ -110,6 +183,67 @@ class MCPWorkshopApp {
     } catch (error) {
       console.warn('⚠️ Copy to clipboard initialization failed:', error);
     }
+
+    // Initialize search command palette
+    try {
+      this.components.commandPalette = new CommandPalette();
+      console.log('✅ Command palette initialized');
+    } catch (error) {
+      console.warn('⚠️ Command palette initialization failed:', error);
+    }
+
+    // Initialize keyboard shortcuts (drive the components above)
+    try {
+      this.components.keyboardShortcuts = new KeyboardShortcuts({
+        labNavigation: this.components.labNavigation,
+        progressTracker: this.components.progressTracker,
+        themeToggle: this.components.themeToggle,
+        commandPalette: this.components.commandPalette,
+      });
+      console.log('✅ Keyboard shortcuts initialized');
+    } catch (error) {
+      console.warn('⚠️ Keyboard shortcuts initialization failed:', error);
+    }
+
+    // Initialize step browser (labs landing page)
+    try {
+      this.components.stepBrowser = new StepBrowser();
+      console.log('✅ Step browser initialized');
+    } catch (error) {
+      console.warn('⚠️ Step browser initialization failed:', error);
+    }
+
+    // Initialize resume card and lab progress rings (labs landing page)
+    try {
+      this.components.resumeCard = new ResumeCard();
+      console.log('✅ Resume card initialized');
+    } catch (error) {
+      console.warn('⚠️ Resume card initialization failed:', error);
+    }
+
+    // Initialize workshop session creation (instructor page)
+    try {
+      this.components.instructorSessions = new InstructorSessions();
+      console.log('✅ Instructor sessions initialized');
+    } catch (error) {
+      console.warn('⚠️ Instructor sessions initialization failed:', error);
+    }
+
+    // Initialize the live workshop dashboard (instructor page)
+    try {
+      this.components.instructorDashboard = new InstructorDashboard();
+      console.log('✅ Instructor dashboard initialized');
+    } catch (error) {
+      console.warn('⚠️ Instructor dashboard initialization failed:', error);
+    }
+
+    // Initialize certificate downloads (verification page)
+    try {
+      this.components.certificateDownload = new CertificateDownload();
+      console.log('✅ Certificate download initialized');
+    } catch (error) {
+      console.warn('⚠️ Certificate download initialization failed:', error);
+    }
   }
 
   /**
@@ -231,11 +365,10 @@ class MCPWorkshopApp {
   }
 
   /**
-   * Preload next content (placeholder for future enhancement)
+   * Preload the next step's body while the current one is being finished
    */
   preloadNextContent() {
-    // This could preload images, code examples, etc.
-    console.debug('Preloading next content...');
+    this.components.labNavigation?.preloadNextStep();
   }
 
   /**
@@ -279,10 +412,7 @@ class MCPWorkshopApp {
   handleStepChange(stepDetail) {
     console.log(`Navigated to step: ${stepDetail.stepNumber}`);
 
-    // Update URL hash if needed
-    if (history.replaceState && stepDetail.stepNumber) {
-      history.replaceState(null, null, `#step-${stepDetail.stepNumber}`);
-    }
+    // The URL is kept in sync by LabNavigation (history entries per step)
 
     // Analytics
     if (window.gtag) {
@@ -312,6 +442,7 @@ class MCPWorkshopApp {
   pauseNonEssentialOperations() {
     // Pause animations, polling, etc.
     console.debug('Pausing non-essential operations');
+    this.components.labNavigation?.pauseStepTimer();
   }
 
   /**
@@ -320,6 +451,7 @@ class MCPWorkshopApp {
   resumeOperations() {
     // Resume animations, polling, etc.
     console.debug('Resuming operations');
+    this.components.labNavigation?.resumeStepTimer();
   }
 
   /**
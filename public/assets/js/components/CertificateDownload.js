@@ -0,0 +1,103 @@
+/**
+ * Certificate Download Component - Save the certificate shown on /labs/verify/<token> as SVG or PNG
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+
+export class CertificateDownload {
+  constructor(options = {}) {
+    this.options = {
+      certificateSelector: '[data-certificate]',
+      downloadSelector: '[data-certificate-download]',
+      // PNG export at twice the SVG's size, for print
+      pngScale: 2,
+      ...options,
+    };
+
+    this.certificate = null;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize certificate downloads
+   */
+  init() {
+    this.certificate = DOMUtils.$(this.options.certificateSelector);
+    if (!this.certificate) return;
+
+    const cleanup = DOMUtils.addEventListenerWithCleanup(this.certificate, 'click', (e) => {
+      const button = e.target.closest(this.options.downloadSelector);
+      if (button) this.download(button.getAttribute('data-certificate-download'), button);
+    });
+    if (cleanup) this.cleanupFunctions.push(cleanup);
+  }
+
+  /**
+   * The certificate as an SVG file
+   */
+  getSvgBlob() {
+    const svg = DOMUtils.$('svg', this.certificate);
+    return new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' });
+  }
+
+  /**
+   * Rasterize the SVG on a canvas
+   */
+  async getPngBlob() {
+    const svg = DOMUtils.$('svg', this.certificate);
+    const url = URL.createObjectURL(this.getSvgBlob());
+
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+
+      const canvas = document.createElement('canvas');
+      canvas.width = svg.viewBox.baseVal.width * this.options.pngScale;
+      canvas.height = svg.viewBox.baseVal.height * this.options.pngScale;
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      return await new Promise((resolve, reject) =>
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png')
+      );
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Download the certificate in a format
+   */
+  async download(format, button) {
+    button.disabled = true;
+
+    try {
+      const blob = format === 'png' ? await this.getPngBlob() : this.getSvgBlob();
+      const url = URL.createObjectURL(blob);
+      const link = DOMUtils.createElement('a', {
+        href: url,
+        download: `${this.certificate.getAttribute('data-filename') || 'certificate'}.${format}`,
+      });
+
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      console.log(`🎓 Certificate downloaded as ${format.toUpperCase()}`);
+    } catch (error) {
+      console.error('❌ Failed to download certificate:', error);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Cleanup event listeners
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+  }
+}
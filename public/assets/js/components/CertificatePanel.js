@@ -0,0 +1,197 @@
+/**
+ * Certificate Panel Component - Offer a signed completion certificate once a lab is 100% complete
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { StorageManager } from '../utils/storage.js';
+
+export class CertificatePanel {
+  constructor(progressTracker, options = {}) {
+    this.options = {
+      apiUrl: '/api/certificates',
+      navSelector: '.lab-nav',
+      maxNameLength: 80,
+      ...options,
+    };
+
+    this.progressTracker = progressTracker;
+    this.storage = new StorageManager('labs');
+    this.labId = null;
+    this.container = null;
+    this.editing = false;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize certificate panel
+   */
+  async init() {
+    const nav = DOMUtils.$(this.options.navSelector);
+    if (!nav || !this.progressTracker) return;
+
+    this.labId = nav.getAttribute('data-lab');
+    this.createPanel(nav);
+    this.setupEventListeners();
+
+    await this.progressTracker.ready;
+    this.render();
+  }
+
+  /**
+   * Create the (hidden) certificate panel in the lab sidebar
+   */
+  createPanel(nav) {
+    this.container = DOMUtils.createElement(
+      'div',
+      {
+        className: 'certificate-panel',
+        hidden: true,
+      },
+      `
+      <span class="certificate-panel-title">🎓 Certificate</span>
+      <div class="certificate-panel-body"></div>
+      <p class="certificate-panel-status" role="status" aria-live="polite"></p>
+    `
+    );
+
+    // Above the sync, backup and workshop panels
+    nav.insertBefore(this.container, DOMUtils.$('.progress-sync, .progress-backup, .cohort-session', nav));
+  }
+
+  /**
+   * Setup the form and re-check completion whenever progress changes
+   */
+  setupEventListeners() {
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(this.container, 'submit', (e) => {
+        e.preventDefault();
+        this.issue(e.target.elements.name.value);
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(this.container, 'click', (e) => {
+        if (e.target.closest('[data-certificate-reissue]')) {
+          this.editing = true;
+          this.render();
+        }
+      }),
+
+      ...[
+        'step-completed',
+        'step-incompleted',
+        'task-toggled',
+        'quiz-submitted',
+        'progress-reset',
+        'progress-imported',
+        'progress-reloaded',
+      ].map((type) =>
+        DOMUtils.addEventListenerWithCleanup(document, `progress:${type}`, () => this.render())
+      ),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Certificates issued in this browser, by lab
+   */
+  getCertificates() {
+    return this.storage.load('certificates', {});
+  }
+
+  /**
+   * Show the panel only for a fully completed lab: the issued certificate, or the name form
+   */
+  render() {
+    const complete = this.progressTracker.getCompletionPercentage() === 100;
+    this.container.hidden = !complete;
+    if (!complete) return;
+
+    const body = DOMUtils.$('.certificate-panel-body', this.container);
+    const certificates = this.getCertificates();
+    const certificate = certificates[this.labId];
+
+    if (certificate && !this.editing) {
+      body.innerHTML = `
+        <p class="certificate-panel-issued">Issued to <strong></strong> on <span></span></p>
+        <div class="certificate-panel-actions">
+          <a class="btn btn-primary btn-sm">View certificate</a>
+          <button type="button" class="btn btn-secondary btn-sm" data-certificate-reissue>Change name</button>
+        </div>
+      `;
+      DOMUtils.$('strong', body).textContent = certificate.name;
+      DOMUtils.$('span', body).textContent = certificate.date;
+      DOMUtils.$('a', body).href = `/labs/verify/${certificate.token}`;
+      return;
+    }
+
+    body.innerHTML = `
+      <p class="certificate-panel-intro">You've marked every step complete. Get a self-issued certificate anyone can verify came from this site.</p>
+      <form class="certificate-panel-form">
+        <input
+          type="text"
+          name="name"
+          placeholder="Name on the certificate"
+          aria-label="Name on the certificate"
+          autocomplete="name"
+          maxlength="${this.options.maxNameLength}"
+          required
+        />
+        <button type="submit" class="btn btn-primary btn-sm">Get certificate</button>
+      </form>
+    `;
+
+    // Suggest the name used for this or another lab's certificate
+    const previous = certificate || Object.values(certificates)[0];
+    DOMUtils.$('input', body).value = previous?.name || '';
+  }
+
+  /**
+   * Show a status line under the panel
+   */
+  setStatus(message, isError = false) {
+    const status = DOMUtils.$('.certificate-panel-status', this.container);
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Ask the Worker to sign a certificate for this lab and remember it
+   */
+  async issue(nameValue) {
+    const name = nameValue.trim();
+    if (!name) return;
+
+    try {
+      this.setStatus('Signing your certificate...');
+      const response = await fetch(this.options.apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lab: this.labId, name }),
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+
+      const certificates = this.getCertificates();
+      certificates[this.labId] = { token: body.token, name: body.name, date: body.date };
+      this.storage.save('certificates', certificates);
+
+      this.editing = false;
+      this.render();
+      this.setStatus('');
+      console.log(`🎓 Certificate issued for ${this.labId}`);
+    } catch (error) {
+      console.error('❌ Failed to issue certificate:', error);
+      this.setStatus(`Could not create the certificate: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Cleanup event listeners
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Code Tabs Component - Tabbed alternatives (CodeTabs.astro), with the chosen tab remembered per group
+ * and applied to every group on every lab page
+ */
+
+import { StorageManager } from '../utils/storage.js';
+import { DOMUtils } from '../utils/dom.js';
+
+export class CodeTabs {
+  constructor(options = {}) {
+    this.options = {
+      groupSelector: '[data-code-tabs]',
+      tabSelector: '[data-code-tab]',
+      tabListSelector: '.code-tabs-list',
+      activeClass: 'active',
+      readyClass: 'is-tabbed',
+      ...options,
+    };
+
+    this.storage = new StorageManager('labs');
+    // Chosen tab label per group name, e.g. { 'package-manager': 'pnpm' }
+    this.preferences = this.storage.load('code-tabs', {});
+    this.groups = [];
+    this.nextId = 0;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize tab groups
+   */
+  init() {
+    this.addGroups(document);
+
+    const cleanups = [
+      // Steps fetched later (LabNavigation.loadStep) can hold tab groups too
+      DOMUtils.addEventListenerWithCleanup(document, 'lab:step-loaded', (e) =>
+        this.addGroups(e.detail.element)
+      ),
+
+      // A choice made in another tab
+      this.storage.subscribe('code-tabs', (preferences) => {
+        this.preferences = preferences || {};
+        this.groups.forEach((group) => this.showPreferredTab(group));
+      }),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Build the tabs of every group inside an element
+   */
+  addGroups(root) {
+    DOMUtils.$$(this.options.groupSelector, root).forEach((element) => {
+      const group = this.createGroup(element);
+      if (!group) return;
+
+      this.groups.push(group);
+      this.showPreferredTab(group);
+    });
+  }
+
+  /**
+   * Turn a group's panels into tabs
+   */
+  createGroup(element) {
+    const tabList = DOMUtils.$(this.options.tabListSelector, element);
+    const panels = DOMUtils.$$(this.options.tabSelector, element).filter(
+      (panel) => panel.parentElement === element
+    );
+    if (!tabList || panels.length === 0) return null;
+
+    const tabs = panels.map((panel) => {
+      const id = `code-tab-${++this.nextId}`;
+      const tab = DOMUtils.createElement(
+        'button',
+        {
+          className: 'code-tabs-tab',
+          type: 'button',
+          role: 'tab',
+          id: `${id}-tab`,
+          'aria-controls': `${id}-panel`,
+        },
+        this.escapeHtml(panel.getAttribute('data-code-tab'))
+      );
+
+      panel.id = `${id}-panel`;
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', tab.id);
+      tabList.appendChild(tab);
+      return tab;
+    });
+
+    const group = {
+      element,
+      name: element.getAttribute('data-code-tabs'),
+      tabs,
+      panels,
+    };
+
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(tabList, 'click', (e) => {
+        const tab = e.target.closest('[role="tab"]');
+        if (tab) this.choose(group, tabs.indexOf(tab));
+      }),
+      DOMUtils.addEventListenerWithCleanup(tabList, 'keydown', (e) => this.handleKeydown(group, e)),
+    ];
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+
+    tabList.hidden = false;
+    element.classList.add(this.options.readyClass);
+    return group;
+  }
+
+  /**
+   * Arrow keys, Home and End move between tabs
+   */
+  handleKeydown(group, e) {
+    const current = group.tabs.indexOf(document.activeElement);
+    if (current === -1) return;
+
+    const last = group.tabs.length - 1;
+    const targets = {
+      ArrowRight: current === last ? 0 : current + 1,
+      ArrowLeft: current === 0 ? last : current - 1,
+      Home: 0,
+      End: last,
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    this.choose(group, targets[e.key]);
+    group.tabs[targets[e.key]].focus();
+  }
+
+  /**
+   * Pick a tab: remember it for the group name and show it in every group of that name
+   */
+  choose(group, index) {
+    const label = group.panels[index]?.getAttribute('data-code-tab');
+    if (!label) return;
+
+    // Keep the clicked group in place while groups above it change height
+    const top = group.element.getBoundingClientRect().top;
+
+    this.preferences = { ...this.preferences, [group.name]: label };
+    this.storage.save('code-tabs', this.preferences);
+    this.groups
+      .filter((other) => other.name === group.name)
+      .forEach((other) => this.showPreferredTab(other));
+
+    window.scrollBy(0, group.element.getBoundingClientRect().top - top);
+    console.log(`📑 Showing ${label} for ${group.name}`);
+  }
+
+  /**
+   * Show the group's remembered tab, or its first tab if it doesn't have that one
+   */
+  showPreferredTab(group) {
+    const preferred = this.preferences[group.name];
+    const index = group.panels.findIndex((panel) => panel.getAttribute('data-code-tab') === preferred);
+    this.showTab(group, index === -1 ? 0 : index);
+  }
+
+  /**
+   * Show one tab of a group
+   */
+  showTab(group, index) {
+    group.tabs.forEach((tab, i) => {
+      const isActive = i === index;
+      DOMUtils.toggleClass(tab, this.options.activeClass, isActive);
+      tab.setAttribute('aria-selected', String(isActive));
+      tab.tabIndex = isActive ? 0 : -1;
+      group.panels[i].hidden = !isActive;
+    });
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  escapeHtml(text) {
+    return text.replace(
+      /[&<>"']/g,
+      (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+    );
+  }
+
+  /**
+   * Cleanup event listeners
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * Cohort Session Component - Join a live workshop session and report progress to the instructor
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { StorageManager } from '../utils/storage.js';
+
+export class CohortSession {
+  constructor(options = {}) {
+    this.options = {
+      apiUrl: '/api/cohorts',
+      navSelector: '.lab-nav',
+      navItemSelector: '.lab-nav-item',
+      heartbeatInterval: 60000,
+      ...options,
+    };
+
+    this.storage = new StorageManager('labs');
+    this.session = this.storage.load('cohort', null);
+    this.labId = null;
+    this.container = null;
+    this.heartbeatTimer = null;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize cohort session
+   */
+  init() {
+    const nav = DOMUtils.$(this.options.navSelector);
+    if (!nav) return;
+
+    this.labId = nav.getAttribute('data-lab');
+    this.createPanel(nav);
+    this.setupEventListeners();
+    this.render();
+
+    if (this.session) {
+      this.reportCurrentStep();
+      this.startHeartbeat();
+    }
+  }
+
+  /**
+   * Create the session panel at the bottom of the lab sidebar
+   */
+  createPanel(nav) {
+    this.container = DOMUtils.createElement(
+      'div',
+      {
+        className: 'cohort-session',
+      },
+      `
+      <span class="cohort-session-title">Workshop session</span>
+      <div class="cohort-session-body"></div>
+      <p class="cohort-session-status" role="status" aria-live="polite"></p>
+    `
+    );
+
+    nav.appendChild(this.container);
+  }
+
+  /**
+   * Setup the join form and progress reporting
+   */
+  setupEventListeners() {
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(this.container, 'submit', (e) => {
+        e.preventDefault();
+        const form = e.target;
+        this.join(form.elements.code.value, form.elements.name.value);
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(this.container, 'click', (e) => {
+        if (e.target.closest('[data-cohort-leave]')) {
+          this.leave();
+        }
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(document, 'lab:step-change', (e) =>
+        this.report('step-change', e.detail.stepNumber)
+      ),
+      DOMUtils.addEventListenerWithCleanup(document, 'progress:step-completed', (e) =>
+        this.report('step-completed', e.detail.stepId)
+      ),
+      DOMUtils.addEventListenerWithCleanup(document, 'progress:step-incompleted', (e) =>
+        this.report('step-incompleted', e.detail.stepId)
+      ),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+    this.cleanupFunctions.push(() => this.stopHeartbeat());
+  }
+
+  /**
+   * Render the join form or the joined state
+   */
+  render() {
+    const body = DOMUtils.$('.cohort-session-body', this.container);
+
+    if (this.session) {
+      body.innerHTML = `
+        <p class="cohort-session-joined">
+          Joined <strong></strong> as <strong></strong>
+        </p>
+        <button type="button" class="btn btn-secondary btn-sm" data-cohort-leave>Leave session</button>
+      `;
+      const [sessionName, participantName] = DOMUtils.$$('strong', body);
+      sessionName.textContent = this.session.cohortName;
+      participantName.textContent = this.session.name;
+      this.setStatus('Your instructor can see which step you are on.');
+      return;
+    }
+
+    // Instructors share links like /labs/mcp?session=K7QW-3MZP
+    const sharedCode = new URLSearchParams(window.location.search).get('session') || '';
+
+    body.innerHTML = `
+      <form class="cohort-session-form">
+        <input
+          type="text"
+          name="code"
+          placeholder="Session code"
+          aria-label="Session code"
+          autocomplete="off"
+          spellcheck="false"
+          required
+        />
+        <input type="text" name="name" placeholder="Your name" aria-label="Your name" maxlength="60" required />
+        <button type="submit" class="btn btn-secondary btn-sm">Join</button>
+      </form>
+    `;
+    DOMUtils.$('input[name="code"]', body).value = sharedCode;
+    this.setStatus(sharedCode ? 'Enter your name to join this session.' : '');
+  }
+
+  /**
+   * Show a status line under the panel
+   */
+  setStatus(message, isError = false) {
+    const status = DOMUtils.$('.cohort-session-status', this.container);
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Call the cohorts API
+   */
+  async request(path, init = {}) {
+    const response = await fetch(`${this.options.apiUrl}${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', ...init.headers },
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(body.error || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Join a session by code
+   */
+  async join(codeValue, nameValue) {
+    const code = codeValue.trim().toUpperCase();
+    const name = nameValue.trim();
+    if (!code || !name) return;
+
+    try {
+      this.setStatus('Joining...');
+      const cohort = await this.request(`/${encodeURIComponent(code)}`);
+      const { participantId } = await this.request(`/${encodeURIComponent(code)}/participants`, {
+        method: 'POST',
+        body: JSON.stringify({ name }),
+      });
+
+      this.session = { code, participantId, name, cohortName: cohort.name };
+      this.storage.save('cohort', this.session);
+      this.render();
+      this.reportCurrentStep();
+      this.startHeartbeat();
+      console.log(`👥 Joined workshop session ${code}`);
+    } catch (error) {
+      console.error('❌ Failed to join workshop session:', error);
+      this.setStatus(`Could not join: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Stop reporting to the session
+   */
+  leave() {
+    this.session = null;
+    this.storage.remove('cohort');
+    this.stopHeartbeat();
+    this.render();
+    console.log('👥 Left workshop session');
+  }
+
+  /**
+   * Report the step shown when joining or loading the page
+   */
+  reportCurrentStep() {
+    const activeItem = DOMUtils.$(`${this.options.navItemSelector}.active`);
+    if (activeItem) {
+      this.report('step-change', activeItem.getAttribute('data-step'));
+    }
+  }
+
+  /**
+   * Send a progress event; sessions that no longer exist are left
+   */
+  async report(type, stepNumber = null) {
+    if (!this.session) return;
+
+    const { code, participantId } = this.session;
+    const event = { participantId, type };
+    if (type !== 'heartbeat') {
+      event.lab = this.labId;
+      event.step = Number(stepNumber);
+    }
+
+    try {
+      await this.request(`/${encodeURIComponent(code)}/events`, {
+        method: 'POST',
+        body: JSON.stringify(event),
+        keepalive: true,
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to report ${type} to the workshop session:`, error);
+      if (error.status === 404) {
+        this.leave();
+        this.setStatus('The workshop session has ended or was not found.', true);
+      }
+    }
+  }
+
+  /**
+   * Keep "last seen" fresh while the tab is visible
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (!document.hidden) this.report('heartbeat');
+    }, this.options.heartbeatInterval);
+  }
+
+  /**
+   * Stop the heartbeat
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Cleanup event listeners and markup
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+    }
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * Command Palette Component - Ctrl/Cmd+K search across every lab step
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+
+export class CommandPalette {
+  constructor(options = {}) {
+    this.options = {
+      indexUrl: '/search-index.json',
+      triggerSelector: '[data-command-palette]',
+      maxResults: 20,
+      ...options,
+    };
+
+    this.index = null;
+    this.indexPromise = null;
+    this.results = [];
+    this.selectedIndex = 0;
+    this.isOpen = false;
+    this.overlay = null;
+    this.input = null;
+    this.resultsList = null;
+    this.previousFocus = null;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize command palette
+   */
+  init() {
+    this.createOverlay();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Create the (hidden) palette markup
+   */
+  createOverlay() {
+    this.overlay = DOMUtils.createElement(
+      'div',
+      {
+        className: 'command-palette-overlay',
+        hidden: '',
+      },
+      `
+      <div class="command-palette" role="dialog" aria-modal="true" aria-label="Search labs">
+        <input
+          type="search"
+          class="command-palette-input"
+          placeholder="Search all labs, headings and code..."
+          aria-label="Search all labs"
+          autocomplete="off"
+          spellcheck="false"
+        />
+        <ul class="command-palette-results" role="listbox"></ul>
+        <div class="command-palette-footer">
+          <span><kbd>↑</kbd><kbd>↓</kbd> to navigate</span>
+          <span><kbd>Enter</kbd> to open</span>
+          <span><kbd>Esc</kbd> to close</span>
+        </div>
+      </div>
+    `
+    );
+
+    this.input = DOMUtils.$('.command-palette-input', this.overlay);
+    this.resultsList = DOMUtils.$('.command-palette-results', this.overlay);
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * Setup keyboard shortcut, triggers and palette interactions
+   */
+  setupEventListeners() {
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(document, 'keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+          e.preventDefault();
+          this.isOpen ? this.close() : this.open();
+        }
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(document, 'click', (e) => {
+        if (e.target.closest(this.options.triggerSelector)) {
+          e.preventDefault();
+          this.open();
+        }
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(
+        this.input,
+        'input',
+        DOMUtils.debounce(() => this.search(this.input.value), 100)
+      ),
+
+      DOMUtils.addEventListenerWithCleanup(this.input, 'keydown', (e) => this.handleKeydown(e)),
+
+      DOMUtils.addEventListenerWithCleanup(this.overlay, 'click', (e) => {
+        // Clicking the backdrop closes the palette
+        if (e.target === this.overlay) {
+          this.close();
+        }
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(this.resultsList, 'click', (e) => {
+        const item = e.target.closest('[data-result-index]');
+        if (item) {
+          e.preventDefault();
+          this.openResult(this.results[Number(item.getAttribute('data-result-index'))]);
+        }
+      }),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Handle keyboard navigation inside the palette
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.select(this.selectedIndex + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.select(this.selectedIndex - 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (this.results[this.selectedIndex]) {
+          this.openResult(this.results[this.selectedIndex]);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Open the palette and load the index on first use
+   */
+  async open() {
+    if (this.isOpen) return;
+
+    this.isOpen = true;
+    this.previousFocus = document.activeElement;
+    this.overlay.hidden = false;
+    this.input.value = '';
+    this.renderMessage('Type to search all labs');
+    this.input.focus();
+
+    try {
+      await this.loadIndex();
+    } catch (error) {
+      console.error('❌ Failed to load search index:', error);
+      this.renderMessage('Search is unavailable right now');
+    }
+  }
+
+  /**
+   * Close the palette
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.overlay.hidden = true;
+
+    if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+  }
+
+  /**
+   * Fetch the build-time search index once
+   */
+  loadIndex() {
+    if (!this.indexPromise) {
+      this.indexPromise = fetch(this.options.indexUrl)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then((entries) => {
+          this.index = entries.map((entry) => ({
+            ...entry,
+            searchHeading: entry.heading.toLowerCase(),
+            searchStep: entry.stepTitle.toLowerCase(),
+            searchText: entry.text.toLowerCase(),
+            searchCode: entry.code.toLowerCase(),
+          }));
+          console.log(`🔎 Search index loaded (${this.index.length} sections)`);
+
+          // Run a query typed while the index was loading
+          if (this.input.value) {
+            this.search(this.input.value);
+          }
+        })
+        .catch((error) => {
+          this.indexPromise = null;
+          throw error;
+        });
+    }
+
+    return this.indexPromise;
+  }
+
+  /**
+   * Search the index: every term must match, headings rank above body text and code
+   */
+  search(query) {
+    if (!this.index) return;
+
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+      this.results = [];
+      this.renderMessage('Type to search all labs');
+      return;
+    }
+
+    this.results = this.index
+      .map((entry) => ({ entry, score: this.scoreEntry(entry, terms) }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.options.maxResults)
+      .map((result) => result.entry);
+
+    this.selectedIndex = 0;
+    this.renderResults(terms);
+  }
+
+  /**
+   * Score an entry against all terms (0 when any term is missing)
+   */
+  scoreEntry(entry, terms) {
+    let score = 0;
+
+    for (const term of terms) {
+      const termScore =
+        (entry.searchHeading.includes(term) ? 10 : 0) +
+        (entry.searchStep.includes(term) ? 4 : 0) +
+        (entry.searchCode.includes(term) ? 3 : 0) +
+        (entry.searchText.includes(term) ? 2 : 0);
+
+      if (termScore === 0) return 0;
+      score += termScore;
+    }
+
+    return score;
+  }
+
+  /**
+   * Render result list
+   */
+  renderResults(terms) {
+    if (this.results.length === 0) {
+      this.renderMessage('No matching steps');
+      return;
+    }
+
+    this.resultsList.innerHTML = this.results
+      .map(
+        (entry, index) => `
+        <li
+          class="command-palette-result"
+          role="option"
+          data-result-index="${index}"
+          aria-selected="${index === this.selectedIndex}"
+        >
+          <span class="command-palette-result-path">
+            ${this.escapeHtml(entry.labTitle)} › Step ${entry.step} – ${this.escapeHtml(entry.stepTitle)}
+          </span>
+          <span class="command-palette-result-heading">${this.highlight(entry.heading, terms)}</span>
+          <span class="command-palette-result-snippet">${this.getSnippet(entry, terms)}</span>
+        </li>`
+      )
+      .join('');
+  }
+
+  /**
+   * Render a status message in place of results
+   */
+  renderMessage(message) {
+    this.resultsList.innerHTML = `<li class="command-palette-empty">${this.escapeHtml(message)}</li>`;
+  }
+
+  /**
+   * Move the selection
+   */
+  select(index) {
+    if (this.results.length === 0) return;
+
+    this.selectedIndex = (index + this.results.length) % this.results.length;
+
+    DOMUtils.$$('[data-result-index]', this.resultsList).forEach((item, i) => {
+      item.setAttribute('aria-selected', String(i === this.selectedIndex));
+      if (i === this.selectedIndex) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Excerpt of the body text (or code) around the first matching term
+   */
+  getSnippet(entry, terms) {
+    for (const [source, searchable] of [
+      [entry.text, entry.searchText],
+      [entry.code, entry.searchCode],
+    ]) {
+      const position = terms
+        .map((term) => searchable.indexOf(term))
+        .filter((i) => i !== -1)
+        .sort((a, b) => a - b)[0];
+
+      if (position !== undefined) {
+        const start = Math.max(0, position - 40);
+        const excerpt = source.slice(start, position + 100);
+        return `${start > 0 ? '…' : ''}${this.highlight(excerpt, terms)}…`;
+      }
+    }
+
+    return this.escapeHtml(entry.text.slice(0, 120));
+  }
+
+  /**
+   * Escape text and wrap matching terms in <mark>
+   */
+  highlight(text, terms) {
+    const pattern = new RegExp(
+      `(${terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`,
+      'gi'
+    );
+
+    return text
+      .split(pattern)
+      .map((part, i) => (i % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+      .join('');
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  escapeHtml(text) {
+    return text.replace(
+      /[&<>"']/g,
+      (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+    );
+  }
+
+  /**
+   * Open a result: switch steps in place when it is on this page, otherwise follow its URL
+   */
+  openResult(entry) {
+    this.close();
+
+    const labNav = DOMUtils.$('.lab-nav');
+    const labNavigation = window.MCPWorkshopApp?.getComponent('labNavigation');
+    const isOnPage =
+      labNavigation &&
+      labNav?.getAttribute('data-lab') === entry.lab &&
+      labNavigation.hasStep(entry.step);
+
+    if (!isOnPage) {
+      window.location.assign(entry.href);
+      return;
+    }
+
+    labNavigation.navigateToStep(entry.step);
+    if (entry.anchor) {
+      labNavigation.setHeading(entry.anchor);
+    }
+
+    // Waits for the step's body when it is fetched on demand
+    labNavigation.scrollToLocation({ stepNumber: entry.step, heading: entry.anchor || null });
+  }
+
+  /**
+   * Cleanup event listeners and markup
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+}
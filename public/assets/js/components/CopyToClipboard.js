@@ -27,6 +27,14 @@ export class CopyToClipboard {
   async init() {
     try {
       console.log('🔧 Initializing copy-to-clipboard...');
+
+      // Steps fetched later (LabNavigation.loadStep) bring their own code blocks
+      const cleanup = DOMUtils.addEventListenerWithCleanup(document, 'lab:step-loaded', () =>
+        this.refresh()
+      );
+      if (cleanup) {
+        this.cleanupFunctions.push(cleanup);
+      }
       
       // Wait for DOM to be ready
       await this.waitForCodeBlocks();
@@ -127,6 +135,7 @@ export class CopyToClipboard {
       if (success) {
         this.showFeedback(button, this.options.successText, 'success');
         console.log('✅ Code copied to clipboard');
+        document.dispatchEvent(new CustomEvent('code:copied', { detail: { codeBlock, code } }));
       } else {
         this.showFeedback(button, this.options.errorText, 'error');
         console.warn('⚠️ Failed to copy code to clipboard');
@@ -141,6 +150,15 @@ export class CopyToClipboard {
    * Extract clean code from code block
    */
   extractCode(codeBlock) {
+    // Lines marked as removed (del={..}) aren't part of the code to paste
+    if (DOMUtils.$('.line.remove', codeBlock)) {
+      codeBlock = codeBlock.cloneNode(true);
+      DOMUtils.$$('.line.remove', codeBlock).forEach((line) => {
+        if (line.nextSibling?.nodeType === Node.TEXT_NODE) line.nextSibling.remove();
+        line.remove();
+      });
+    }
+
     // Get text content and clean it up
     let code = codeBlock.textContent || codeBlock.innerText || '';
     
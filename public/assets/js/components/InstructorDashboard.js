@@ -0,0 +1,457 @@
+/**
+ * Instructor Dashboard Component - Live per-step histogram, stuck participants and roster of a workshop session
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { StorageManager } from '../utils/storage.js';
+
+export class InstructorDashboard {
+  constructor(options = {}) {
+    this.options = {
+      rootSelector: '[data-instructor-dashboard]',
+      apiUrl: '/api/cohorts',
+      outlineUrl: '/labs/outline.json',
+      refreshInterval: 10000,
+      // Participants not heard from for this long have probably closed the lab
+      activeWindow: 5 * 60 * 1000,
+      // Stuck = on one step longer than 1.5x its estimate, and at least 10 minutes
+      stuckFactor: 1.5,
+      stuckMinimum: 10 * 60 * 1000,
+      ...options,
+    };
+
+    this.root = DOMUtils.$(this.options.rootSelector);
+    this.storage = new StorageManager('instructor');
+    this.code = null;
+    this.key = null;
+    this.keySaved = false;
+    this.outline = {};
+    this.refreshTimer = null;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize instructor dashboard
+   */
+  init() {
+    if (!this.root) return;
+
+    this.code = this.root.getAttribute('data-code');
+    this.key = this.takeKeyFromHash() || this.storage.load('sessions', {})[this.code]?.key || null;
+
+    this.setupEventListeners();
+    this.renderJoinLinks();
+
+    if (this.key) {
+      this.start();
+    } else {
+      this.showKeyForm('Enter the instructor key for this session to see its dashboard.');
+    }
+  }
+
+  /**
+   * Accept a key shared as /labs/instructor/<code>#key=..., then drop it from the address bar
+   */
+  takeKeyFromHash() {
+    const key = new URLSearchParams(window.location.hash.slice(1)).get('key');
+    if (!key) return null;
+
+    this.saveKey(key);
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    return key;
+  }
+
+  /**
+   * Remember the key for this session in this browser
+   */
+  saveKey(key) {
+    const sessions = this.storage.load('sessions', {});
+    sessions[this.code] = { createdAt: Date.now(), ...sessions[this.code], key };
+    this.storage.save('sessions', sessions);
+  }
+
+  /**
+   * Setup the key form, sharing and visibility-aware polling
+   */
+  setupEventListeners() {
+    const keyForm = DOMUtils.$('[data-dashboard-key-form]', this.root);
+    const shareButton = DOMUtils.$('[data-dashboard-share]', this.root);
+
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(keyForm, 'submit', (e) => {
+        e.preventDefault();
+        const key = keyForm.elements.key.value.trim();
+        if (!key) return;
+
+        this.key = key;
+        keyForm.hidden = true;
+        this.start();
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(shareButton, 'click', () => this.copyShareLink()),
+
+      DOMUtils.addEventListenerWithCleanup(document, 'visibilitychange', () => {
+        if (!document.hidden && this.refreshTimer) this.refresh();
+      }),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+    this.cleanupFunctions.push(() => this.stopPolling());
+  }
+
+  /**
+   * Load the lab outline, then keep the dashboard fresh
+   */
+  async start() {
+    this.setStatus('Loading...');
+
+    try {
+      const response = await fetch(this.options.outlineUrl);
+      this.outline = await response.json();
+      this.renderJoinLinks();
+    } catch (error) {
+      console.warn('⚠️ Failed to load the lab outline:', error);
+    }
+
+    if (await this.refresh()) {
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Refresh every few seconds while the page is visible
+   */
+  startPolling() {
+    this.stopPolling();
+    this.refreshTimer = setInterval(() => {
+      if (!document.hidden) this.refresh();
+    }, this.options.refreshInterval);
+  }
+
+  /**
+   * Stop refreshing
+   */
+  stopPolling() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Fetch and render the session; false when the dashboard can't be shown at all
+   */
+  async refresh() {
+    let response;
+    try {
+      response = await fetch(`${this.options.apiUrl}/${encodeURIComponent(this.code)}/dashboard`, {
+        headers: { Authorization: `Bearer ${this.key}` },
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to refresh the workshop dashboard:', error);
+      this.setStatus('Could not reach the server, retrying...', true);
+      return true;
+    }
+
+    if (response.status === 403) {
+      this.stopPolling();
+      this.showKeyForm('That instructor key does not match this session.', true);
+      return false;
+    }
+    if (response.status === 404) {
+      this.stopPolling();
+      this.setStatus(`There is no workshop session ${this.code}.`, true);
+      return false;
+    }
+    if (!response.ok) {
+      this.setStatus(`Could not refresh (HTTP ${response.status}), retrying...`, true);
+      return true;
+    }
+
+    const data = await response.json();
+    // The key works, so keep it for next time
+    if (!this.keySaved) {
+      this.saveKey(this.key);
+      this.keySaved = true;
+    }
+    this.render(data);
+    this.setStatus(`Updated ${new Date().toLocaleTimeString()}`);
+    return true;
+  }
+
+  /**
+   * Show the key form with a message
+   */
+  showKeyForm(message, isError = false) {
+    DOMUtils.$('[data-dashboard-key-form]', this.root).hidden = false;
+    DOMUtils.$('[data-dashboard-content]', this.root).hidden = true;
+    DOMUtils.$('[data-dashboard-share]', this.root).hidden = true;
+    this.setStatus(message, isError);
+  }
+
+  /**
+   * Show a status line under the header
+   */
+  setStatus(message, isError = false) {
+    const status = DOMUtils.$('[data-dashboard-status]', this.root);
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Copy a dashboard link that carries the instructor key
+   */
+  async copyShareLink() {
+    const url = `${window.location.origin}${window.location.pathname}#key=${encodeURIComponent(this.key)}`;
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this.setStatus('Dashboard link copied. Anyone with it can see this dashboard.');
+    } catch (error) {
+      console.warn('⚠️ Failed to copy the dashboard link:', error);
+      this.setStatus('Could not copy the link.', true);
+    }
+  }
+
+  /**
+   * Links that open each lab with the session code filled in (see CohortSession)
+   */
+  renderJoinLinks() {
+    const labs = Object.entries(this.outline);
+    if (labs.length === 0) return;
+
+    const links = labs
+      .map(
+        ([labId, lab]) =>
+          `<a href="/labs/${labId}?session=${encodeURIComponent(this.code)}">${this.escapeHtml(lab.title)}</a>`
+      )
+      .join(' · ');
+
+    DOMUtils.$('[data-dashboard-join]', this.root).innerHTML =
+      `Participants enter the code under <strong>Workshop session</strong> in a lab's sidebar, or open ${links}.`;
+  }
+
+  /**
+   * A step from the outline, if it still exists
+   */
+  getStep(labId, stepNumber) {
+    return this.outline[labId]?.steps.find((step) => step.step === stepNumber) || null;
+  }
+
+  /**
+   * Whether a participant has completed a step
+   */
+  hasCompleted(participant, labId, stepNumber) {
+    return participant.completed.some((c) => c.lab === labId && c.step === stepNumber);
+  }
+
+  /**
+   * Whether a participant is still following along
+   */
+  isActive(participant, now) {
+    return now - participant.lastSeen <= this.options.activeWindow;
+  }
+
+  /**
+   * Whether an active participant has been on an unfinished step for much longer than estimated
+   */
+  isStuck(participant, now) {
+    const step = this.getStep(participant.lab, participant.step);
+    if (!step || participant.stepSince === null || !this.isActive(participant, now)) return false;
+    if (this.hasCompleted(participant, participant.lab, participant.step)) return false;
+
+    const threshold = Math.max(
+      step.minutes * 60 * 1000 * this.options.stuckFactor,
+      this.options.stuckMinimum
+    );
+    return now - participant.stepSince > threshold;
+  }
+
+  /**
+   * Render the whole dashboard
+   */
+  render({ cohort, participants, now }) {
+    DOMUtils.$('[data-dashboard-name]', this.root).textContent = cohort.name;
+    DOMUtils.$('[data-dashboard-content]', this.root).hidden = false;
+    DOMUtils.$('[data-dashboard-share]', this.root).hidden = false;
+
+    const active = participants.filter((p) => this.isActive(p, now));
+    const stuck = participants.filter((p) => this.isStuck(p, now));
+
+    this.renderSummary(participants, active, stuck);
+    this.renderHistogram(participants, active, stuck);
+    this.renderStuck(stuck, now);
+    this.renderParticipants(participants, now);
+  }
+
+  /**
+   * Headline counts
+   */
+  renderSummary(participants, active, stuck) {
+    DOMUtils.$('[data-dashboard-summary]', this.root).innerHTML = `
+      <span><strong>${participants.length}</strong> joined</span>
+      <span><strong>${active.length}</strong> active in the last ${this.options.activeWindow / 60000} min</span>
+      <span class="${stuck.length > 0 ? 'has-stuck' : ''}"><strong>${stuck.length}</strong> stuck</span>
+    `;
+  }
+
+  /**
+   * Per lab, how many active participants are on each step and how many completed it
+   */
+  renderHistogram(participants, active, stuck) {
+    const container = DOMUtils.$('[data-dashboard-histogram]', this.root);
+    const labs = Object.entries(this.outline).filter(([labId]) =>
+      participants.some((p) => p.lab === labId || p.completed.some((c) => c.lab === labId))
+    );
+
+    if (labs.length === 0) {
+      container.innerHTML = '<p class="instructor-empty">Nobody has opened a lab yet.</p>';
+      return;
+    }
+
+    container.innerHTML = labs
+      .map(([labId, lab]) => {
+        const rows = lab.steps.map((step) => {
+          const here = active.filter((p) => p.lab === labId && p.step === step.step).length;
+          const stuckHere = stuck.filter((p) => p.lab === labId && p.step === step.step).length;
+          const done = participants.filter((p) => this.hasCompleted(p, labId, step.step)).length;
+          const width = active.length > 0 ? Math.round((here / active.length) * 100) : 0;
+
+          return `
+            <li class="instructor-bar-row ${stuckHere > 0 ? 'has-stuck' : ''}">
+              <span class="instructor-bar-label" title="${this.escapeHtml(step.title)}">
+                ${String(step.step).padStart(2, '0')} ${this.escapeHtml(step.title)}
+              </span>
+              <span class="instructor-bar" aria-hidden="true">
+                <span class="instructor-bar-fill" style="width: ${width}%"></span>
+              </span>
+              <span class="instructor-bar-count">
+                ${here} here${stuckHere > 0 ? ` (${stuckHere} stuck)` : ''} · ✓ ${done}
+              </span>
+            </li>
+          `;
+        });
+
+        return `
+          <div class="instructor-lab">
+            <h3>${this.escapeHtml(lab.title)}</h3>
+            <ol class="instructor-histogram">${rows.join('')}</ol>
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Who is stuck, longest first
+   */
+  renderStuck(stuck, now) {
+    const list = DOMUtils.$('[data-dashboard-stuck]', this.root);
+
+    if (stuck.length === 0) {
+      list.innerHTML = '<li class="instructor-empty">Nobody is stuck.</li>';
+      return;
+    }
+
+    list.innerHTML = [...stuck]
+      .sort((a, b) => a.stepSince - b.stepSince)
+      .map((participant) => {
+        const step = this.getStep(participant.lab, participant.step);
+        return `
+          <li>
+            <strong>${this.escapeHtml(participant.name)}</strong>
+            <span>${this.describeStep(participant)}</span>
+            <span class="instructor-stuck-time">
+              ${this.formatElapsed(now - participant.stepSince)} (est. ${step.minutes} min)
+            </span>
+          </li>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Everyone who joined
+   */
+  renderParticipants(participants, now) {
+    const body = DOMUtils.$('[data-dashboard-participants]', this.root);
+
+    if (participants.length === 0) {
+      body.innerHTML = `<tr><td colspan="5" class="instructor-empty">Waiting for participants to join ${this.escapeHtml(this.code)}.</td></tr>`;
+      return;
+    }
+
+    body.innerHTML = participants
+      .map((participant) => {
+        const classes = [
+          !this.isActive(participant, now) && 'inactive',
+          this.isStuck(participant, now) && 'stuck',
+        ].filter(Boolean);
+        const lab = this.outline[participant.lab];
+        const completed = participant.completed.filter((c) => c.lab === participant.lab).length;
+
+        return `
+          <tr class="${classes.join(' ')}">
+            <td>${this.escapeHtml(participant.name)}</td>
+            <td>${participant.lab ? this.describeStep(participant) : 'Not started'}</td>
+            <td>${participant.stepSince ? this.formatElapsed(now - participant.stepSince) : '–'}</td>
+            <td>${lab ? `${completed} / ${lab.steps.length}` : '–'}</td>
+            <td>${this.formatLastSeen(now - participant.lastSeen)}</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * "Workers › 3. KV Storage"
+   */
+  describeStep(participant) {
+    const lab = this.outline[participant.lab];
+    const step = this.getStep(participant.lab, participant.step);
+    const labTitle = lab ? lab.title : participant.lab;
+
+    return this.escapeHtml(
+      step
+        ? `${labTitle} › ${step.step}. ${step.title}`
+        : `${labTitle} › Step ${participant.step}`
+    );
+  }
+
+  /**
+   * Elapsed time as "< 1 min", "12 min" or "1 h 5 min"
+   */
+  formatElapsed(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return '< 1 min';
+    if (minutes < 60) return `${minutes} min`;
+
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+  }
+
+  /**
+   * "just now" or "5 min ago"
+   */
+  formatLastSeen(ms) {
+    return ms < 60000 ? 'just now' : `${this.formatElapsed(ms)} ago`;
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  escapeHtml(text) {
+    return String(text).replace(
+      /[&<>"']/g,
+      (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+    );
+  }
+
+  /**
+   * Cleanup event listeners and timers
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Instructor Sessions Component - Create workshop sessions and list the ones created in this browser
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { StorageManager } from '../utils/storage.js';
+
+export class InstructorSessions {
+  constructor(options = {}) {
+    this.options = {
+      apiUrl: '/api/cohorts',
+      formSelector: '[data-instructor-create]',
+      listSelector: '[data-instructor-sessions]',
+      ...options,
+    };
+
+    this.form = DOMUtils.$(this.options.formSelector);
+    this.list = DOMUtils.$(this.options.listSelector);
+    // Shared with InstructorDashboard: { [code]: { name, key, createdAt } }
+    this.storage = new StorageManager('instructor');
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize instructor sessions
+   */
+  init() {
+    if (!this.form || !this.list) return;
+
+    const cleanup = DOMUtils.addEventListenerWithCleanup(this.form, 'submit', (e) => {
+      e.preventDefault();
+      this.create(this.form.elements.name.value);
+    });
+    if (cleanup) this.cleanupFunctions.push(cleanup);
+
+    this.renderList();
+  }
+
+  /**
+   * Create a session and open its dashboard
+   */
+  async create(nameValue) {
+    const name = nameValue.trim();
+    if (!name) return;
+
+    const submit = DOMUtils.$('button[type="submit"]', this.form);
+    submit.disabled = true;
+    this.setStatus('Creating session...');
+
+    try {
+      const response = await fetch(this.options.apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name }),
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+
+      const sessions = this.storage.load('sessions', {});
+      sessions[body.code] = { name: body.name, key: body.instructorKey, createdAt: Date.now() };
+      this.storage.save('sessions', sessions);
+
+      console.log(`🧑‍🏫 Workshop session ${body.code} created`);
+      window.location.href = `/labs/instructor/${body.code}`;
+    } catch (error) {
+      console.error('❌ Failed to create workshop session:', error);
+      this.setStatus(`Could not create the session: ${error.message}`, true);
+      submit.disabled = false;
+    }
+  }
+
+  /**
+   * List sessions created in this browser, newest first
+   */
+  renderList() {
+    const sessions = Object.entries(this.storage.load('sessions', {})).sort(
+      ([, a], [, b]) => b.createdAt - a.createdAt
+    );
+
+    this.list.hidden = sessions.length === 0;
+    DOMUtils.$('ul', this.list).innerHTML = sessions
+      .map(
+        ([code, session]) => `
+        <li>
+          <a href="/labs/instructor/${encodeURIComponent(code)}">${this.escapeHtml(session.name)}</a>
+          <code>${this.escapeHtml(code)}</code>
+          <span>${new Date(session.createdAt).toLocaleDateString()}</span>
+        </li>
+      `
+      )
+      .join('');
+  }
+
+  /**
+   * Show a status line under the form
+   */
+  setStatus(message, isError = false) {
+    const status = DOMUtils.$('.instructor-status', this.form);
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  escapeHtml(text) {
+    return String(text).replace(
+      /[&<>"']/g,
+      (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+    );
+  }
+
+  /**
+   * Cleanup event listeners
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+  }
+}
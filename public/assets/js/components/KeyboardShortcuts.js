@@ -0,0 +1,245 @@
+/**
+ * Keyboard Shortcuts Component - Page-wide single-key shortcuts and the "?" help overlay listing them
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+
+export class KeyboardShortcuts {
+  constructor(components = {}, options = {}) {
+    this.options = {
+      codeBlockSelector: 'pre',
+      copyButtonSelector: '.copy-btn',
+      ...options,
+    };
+
+    this.components = components;
+    // Registry of { keys, description, group, action, isAvailable }; the help overlay is built from it
+    this.shortcuts = [];
+    this.dialog = null;
+    this.hoveredCodeBlock = null;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize keyboard shortcuts
+   */
+  init() {
+    this.registerDefaults();
+    this.createDialog();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Add a shortcut; `keys` are KeyboardEvent.key values, `isAvailable` hides it on pages where it does nothing
+   */
+  register({ keys, description, group = 'General', action, isAvailable = () => true }) {
+    this.shortcuts.push({ keys, description, group, action, isAvailable });
+  }
+
+  /**
+   * The built-in shortcuts
+   */
+  registerDefaults() {
+    const { labNavigation, progressTracker, themeToggle, commandPalette } = this.components;
+    const onLabPage = () => Boolean(labNavigation?.getTotalSteps());
+
+    this.register({
+      keys: ['j', ']'],
+      description: 'Next step',
+      group: 'Steps',
+      action: () => labNavigation.nextStep(),
+      isAvailable: onLabPage,
+    });
+    this.register({
+      keys: ['k', '['],
+      description: 'Previous step',
+      group: 'Steps',
+      action: () => labNavigation.previousStep(),
+      isAvailable: onLabPage,
+    });
+    this.register({
+      keys: ['m'],
+      description: 'Mark the current step complete (or not)',
+      group: 'Steps',
+      action: () => progressTracker.toggleStepCompleted(labNavigation.getCurrentStep()),
+      isAvailable: () => onLabPage() && Boolean(progressTracker?.labId),
+    });
+    this.register({
+      keys: ['c'],
+      description: 'Copy the focused code block',
+      group: 'Code',
+      action: () => this.copyCodeBlock(),
+      isAvailable: () => DOMUtils.$$(this.options.copyButtonSelector).length > 0,
+    });
+    this.register({
+      keys: ['/'],
+      description: 'Search all labs',
+      action: () => commandPalette.open(),
+      isAvailable: () => Boolean(commandPalette),
+    });
+    this.register({
+      keys: ['t'],
+      description: 'Switch between dark and light theme',
+      action: () => themeToggle.toggle(),
+      isAvailable: () => Boolean(themeToggle),
+    });
+    this.register({
+      keys: ['?'],
+      description: 'Show keyboard shortcuts',
+      action: () => this.openHelp(),
+    });
+  }
+
+  /**
+   * Create the (closed) help dialog
+   */
+  createDialog() {
+    this.dialog = DOMUtils.createElement(
+      'dialog',
+      {
+        className: 'shortcuts-dialog',
+        'aria-labelledby': 'shortcuts-dialog-title',
+      },
+      `
+      <form method="dialog" class="shortcuts-form">
+        <h2 id="shortcuts-dialog-title">Keyboard shortcuts</h2>
+        <div class="shortcuts-groups"></div>
+        <div class="shortcuts-actions">
+          <button type="submit" class="btn btn-secondary btn-sm">Close</button>
+        </div>
+      </form>
+    `
+    );
+
+    document.body.appendChild(this.dialog);
+  }
+
+  /**
+   * Listen for shortcut keys and remember which code block the pointer is over
+   */
+  setupEventListeners() {
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(document, 'keydown', (e) => this.handleKeydown(e)),
+
+      DOMUtils.addEventListenerWithCleanup(document, 'mouseover', (e) => {
+        this.hoveredCodeBlock = e.target.closest?.(this.options.codeBlockSelector) || null;
+      }),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Run the shortcut for a key press, unless the user is typing or another overlay is open
+   */
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+
+    if (this.dialog.open) {
+      if (e.key === '?') {
+        e.preventDefault();
+        this.dialog.close();
+      }
+      return;
+    }
+
+    if (this.isTyping(e.target) || this.isOverlayOpen()) return;
+
+    const shortcut = this.shortcuts.find(
+      ({ keys, isAvailable }) => keys.includes(e.key) && isAvailable()
+    );
+    if (!shortcut) return;
+
+    e.preventDefault();
+    shortcut.action();
+  }
+
+  /**
+   * Check whether a key press goes to a text field
+   */
+  isTyping(target) {
+    return Boolean(
+      target?.closest?.('input, textarea, select, [contenteditable]:not([contenteditable="false"])')
+    );
+  }
+
+  /**
+   * Check whether the search palette or a modal dialog has the keyboard
+   */
+  isOverlayOpen() {
+    return Boolean(this.components.commandPalette?.isOpen || DOMUtils.$('dialog[open]'));
+  }
+
+  /**
+   * Click the copy button of the code block with focus, under the pointer, or else the first one in view
+   */
+  copyCodeBlock() {
+    const focused = document.activeElement?.closest?.(this.options.codeBlockSelector);
+    const inView = DOMUtils.$$(this.options.codeBlockSelector).find((block) => {
+      const rect = block.getBoundingClientRect();
+      return rect.height > 0 && rect.top >= 0 && rect.bottom <= window.innerHeight;
+    });
+
+    const codeBlock = focused || this.hoveredCodeBlock || inView;
+    DOMUtils.$(this.options.copyButtonSelector, codeBlock)?.click();
+  }
+
+  /**
+   * Open the help overlay with the shortcuts available on this page
+   */
+  openHelp() {
+    const groups = new Map();
+    this.shortcuts
+      .filter(({ isAvailable }) => isAvailable())
+      .forEach((shortcut) => {
+        if (!groups.has(shortcut.group)) groups.set(shortcut.group, []);
+        groups.get(shortcut.group).push(shortcut);
+      });
+
+    DOMUtils.$('.shortcuts-groups', this.dialog).innerHTML = [...groups]
+      .map(
+        ([group, shortcuts]) => `
+          <section class="shortcuts-group">
+            <h3>${this.escapeHtml(group)}</h3>
+            <dl>
+              ${shortcuts
+                .map(
+                  ({ keys, description }) => `
+                    <div class="shortcuts-row">
+                      <dt>${keys.map((key) => `<kbd>${this.escapeHtml(key)}</kbd>`).join(' or ')}</dt>
+                      <dd>${this.escapeHtml(description)}</dd>
+                    </div>
+                  `
+                )
+                .join('')}
+            </dl>
+          </section>
+        `
+      )
+      .join('');
+
+    this.dialog.showModal();
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  escapeHtml(text) {
+    return text.replace(
+      /[&<>"']/g,
+      (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+    );
+  }
+
+  /**
+   * Cleanup event listeners and the dialog
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+    this.dialog?.remove();
+    this.dialog = null;
+  }
+}
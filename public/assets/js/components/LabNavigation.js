@@ -3,20 +3,33 @@
  */
 
 import { DOMUtils } from '../utils/dom.js';
+import { StorageManager } from '../utils/storage.js';
 
 export class LabNavigation {
   constructor(options = {}) {
     this.options = {
+      navSelector: '.lab-nav',
       navItemSelector: '.lab-nav-item',
       contentSelector: '.step-content',
+      fragmentSelector: '[data-step-fragment]',
       activeClass: 'active',
+      timeReportInterval: 15000,
       ...options,
     };
 
     this.navItems = DOMUtils.$$(this.options.navItemSelector);
     this.contentSections = DOMUtils.$$(this.options.contentSelector);
+    this.storage = new StorageManager('labs');
+    this.labId = DOMUtils.$(this.options.navSelector)?.getAttribute('data-lab') || null;
     this.cleanupFunctions = [];
     this.currentStep = null;
+    this.currentHeading = null;
+    // Step shown when the page was opened, for history entries without a step in the URL
+    this.initialStep = null;
+    // Step bodies being fetched into their placeholders, by step number
+    this.stepLoads = new Map();
+    // Active time on the shown step, reported in `lab:step-time` events
+    this.stepTimer = { stepNumber: null, since: null, paused: document.hidden };
 
     this.init();
   }
@@ -31,7 +44,20 @@ export class LabNavigation {
     }
 
     this.setupNavigation();
+    this.setupStepLinks();
+    this.setupHistory();
+    this.setupStepTimer();
+
+    // Read before showing the first step, which records a new resume point
+    const resumePoint = this.takeResumeRequest();
     this.showInitialStep();
+    if (resumePoint) {
+      this.loadStep(this.currentStep).then(() =>
+        window.scrollTo({ top: resumePoint.scrollY, behavior: 'instant' })
+      );
+    }
+
+    this.setupResumePoint();
   }
 
   /**
@@ -46,9 +72,13 @@ export class LabNavigation {
         return;
       }
 
-      const cleanup = DOMUtils.addEventListenerWithCleanup(item, 'click', () =>
-        this.handleStepClick(stepNumber, item)
-      );
+      const cleanup = DOMUtils.addEventListenerWithCleanup(item, 'click', (e) => {
+        // Steps rendered on this page switch in place; others follow the link to their own page
+        if (this.hasStep(stepNumber)) {
+          e.preventDefault();
+          this.handleStepClick(stepNumber, item);
+        }
+      });
 
       if (cleanup) {
         this.cleanupFunctions.push(cleanup);
@@ -73,13 +103,155 @@ export class LabNavigation {
     });
   }
 
+  /**
+   * Switch steps in place for in-content links marked with data-step-link
+   */
+  setupStepLinks() {
+    const cleanup = DOMUtils.addEventListenerWithCleanup(document, 'click', (e) => {
+      const link = e.target.closest('a[data-step-link]');
+      if (!link) return;
+
+      const stepNumber = link.getAttribute('data-step-link');
+      if (this.hasStep(stepNumber)) {
+        e.preventDefault();
+        this.navigateToStep(stepNumber);
+        DOMUtils.scrollToElement(DOMUtils.$(`#step-${stepNumber}`), 100);
+      }
+    });
+
+    if (cleanup) {
+      this.cleanupFunctions.push(cleanup);
+    }
+  }
+
+  /**
+   * Restore steps on back/forward (and on in-page #step-N links). Entries without a step in the
+   * hash, such as the page's own URL, go back to the step recorded with them or the initial step.
+   */
+  setupHistory() {
+    const cleanup = DOMUtils.addEventListenerWithCleanup(window, 'popstate', (e) => {
+      const stepNumber = e.state?.stepNumber || this.initialStep;
+      const location =
+        this.parseLocation() || (this.hasStep(stepNumber) ? { stepNumber, heading: null } : null);
+      if (!location) return;
+
+      this.navigateToStep(location.stepNumber, { updateHistory: false });
+      this.scrollToLocation(location);
+    });
+
+    if (cleanup) {
+      this.cleanupFunctions.push(cleanup);
+    }
+  }
+
+  /**
+   * Read the step (and optional heading) from the URL hash: #step-3 or #step-3/heading-id.
+   * A bare heading id is resolved to the step that contains it.
+   */
+  parseLocation() {
+    const hash = decodeURIComponent(window.location.hash.slice(1));
+    if (!hash) return null;
+
+    const match = /^step-(\d+)(?:\/(.+))?$/.exec(hash);
+    if (match && this.hasStep(match[1])) {
+      return { stepNumber: match[1], heading: match[2] || null };
+    }
+
+    const heading = DOMUtils.$(`${this.options.contentSelector} [id="${hash}"]`);
+    const stepContent = heading && heading.closest(this.options.contentSelector);
+    if (stepContent) {
+      return { stepNumber: stepContent.id.replace('step-', ''), heading: hash };
+    }
+
+    // Headings of steps not loaded yet are listed in their outline
+    const tocLink = DOMUtils.$(`.step-toc [data-toc-heading="${hash}"]`);
+    const toc = tocLink && tocLink.closest('[data-toc-step]');
+    if (toc && this.hasStep(toc.getAttribute('data-toc-step'))) {
+      return { stepNumber: toc.getAttribute('data-toc-step'), heading: hash };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if steps are switched in place (all steps rendered on one page)
+   */
+  isMultiStepPage() {
+    return this.contentSections.length > 1;
+  }
+
+  /**
+   * Record the current step (and optional heading) in the URL hash
+   */
+  updateHistory(stepNumber, heading = null, { replace = false } = {}) {
+    // Per-step pages already have their own URL
+    if (!this.isMultiStepPage()) return;
+
+    const hash = heading ? `#step-${stepNumber}/${heading}` : `#step-${stepNumber}`;
+    if (window.location.hash === hash) return;
+
+    const state = { stepNumber, heading };
+    if (replace) {
+      history.replaceState(state, '', hash);
+    } else {
+      history.pushState(state, '', hash);
+    }
+  }
+
+  /**
+   * Record the heading being read in the current step, without adding a history entry
+   */
+  setHeading(heading) {
+    if (this.currentStep) {
+      this.currentHeading = heading;
+      this.updateHistory(this.currentStep, heading, { replace: true });
+      this.saveResumePoint();
+    }
+  }
+
+  /**
+   * Shareable URL of a heading: #step-N/heading when steps switch in place, else the step page's #heading
+   */
+  getHeadingUrl(stepNumber, heading) {
+    const hash = this.isMultiStepPage() ? `step-${stepNumber}/${heading}` : heading;
+    return new URL(`#${hash}`, window.location.href).href;
+  }
+
+  /**
+   * Scroll to a parsed location's heading, or the top of its step, once the step is loaded
+   */
+  async scrollToLocation({ stepNumber, heading }) {
+    await this.loadStep(stepNumber);
+
+    const stepContent = DOMUtils.$(`#step-${stepNumber}`);
+    const target = heading ? DOMUtils.$(`[id="${heading}"]`, stepContent) : null;
+
+    DOMUtils.scrollToElement(target || stepContent, 100);
+  }
+
   /**
    * Handle step navigation click
    */
-  handleStepClick(stepNumber, navItem) {
+  handleStepClick(stepNumber, navItem, { updateHistory = true } = {}) {
+    if (!this.hasStep(stepNumber)) {
+      // Step lives on its own page (per-step routes only render one step)
+      if (navItem && navItem.href) {
+        window.location.assign(navItem.href);
+      }
+      return;
+    }
+
     this.showStep(stepNumber);
     this.setActiveNavItem(navItem);
+    this.startStepTimer(stepNumber);
     this.dispatchStepChangeEvent(stepNumber);
+
+    if (updateHistory) {
+      this.updateHistory(stepNumber);
+    }
+
+    this.currentHeading = null;
+    this.saveResumePoint();
   }
 
   /**
@@ -98,9 +270,10 @@ export class LabNavigation {
       content.style.display = 'none';
     });
 
-    // Show target step
+    // Show target step, fetching its body if only the placeholder is in the page
     targetStep.style.display = 'block';
     this.currentStep = stepNumber;
+    this.loadStep(stepNumber);
 
     // Smooth scroll to content (optional)
     if (window.innerWidth <= 1024) {
@@ -127,16 +300,38 @@ export class LabNavigation {
   }
 
   /**
-   * Show initial step (first step by default)
+   * Show initial step: the one in the URL hash, else the server-rendered active step,
+   * else the first rendered step
    */
   showInitialStep() {
-    const firstNavItem = this.navItems[0];
-    if (firstNavItem) {
-      const firstStepNumber = firstNavItem.getAttribute('data-step');
-      if (firstStepNumber) {
-        this.handleStepClick(firstStepNumber, firstNavItem);
+    const location = this.parseLocation();
+    if (location) {
+      this.navigateToStep(location.stepNumber, { updateHistory: false });
+      this.scrollToLocation(location);
+    } else {
+      const renderedItems = this.navItems.filter((item) =>
+        this.hasStep(item.getAttribute('data-step'))
+      );
+      const initialNavItem =
+        renderedItems.find((item) => item.classList.contains(this.options.activeClass)) ||
+        renderedItems[0];
+
+      if (initialNavItem) {
+        this.handleStepClick(initialNavItem.getAttribute('data-step'), initialNavItem, {
+          updateHistory: false,
+        });
       }
     }
+
+    // Give the page's own history entry its step, so Back from a later step returns to it
+    this.initialStep = this.currentStep;
+    if (this.currentStep) {
+      history.replaceState(
+        { stepNumber: this.currentStep, heading: location?.heading || null },
+        '',
+        window.location.href
+      );
+    }
   }
 
   /**
@@ -206,13 +401,13 @@ export class LabNavigation {
   /**
    * Navigate to specific step by number
    */
-  navigateToStep(stepNumber) {
+  navigateToStep(stepNumber, options = {}) {
     const navItem = this.navItems.find(
       (item) => item.getAttribute('data-step') === stepNumber.toString()
     );
 
     if (navItem) {
-      this.handleStepClick(stepNumber.toString(), navItem);
+      this.handleStepClick(stepNumber.toString(), navItem, options);
       return true;
     }
 
@@ -254,6 +449,83 @@ export class LabNavigation {
       .filter(Boolean);
   }
 
+  /**
+   * Fetch a step's body into its placeholder (steps after the first are not in the all-steps page);
+   * resolves once the body is in place, or straight away for steps rendered with the page
+   */
+  loadStep(stepNumber) {
+    const key = String(stepNumber);
+    const placeholder = DOMUtils.$(`#step-${key} ${this.options.fragmentSelector}`);
+    if (!placeholder) return Promise.resolve(true);
+
+    if (!this.stepLoads.has(key)) {
+      const load = this.fetchStep(key, placeholder).catch((error) => {
+        console.error(`❌ Failed to load step ${key}:`, error);
+        // Leave the link to the step's own page, and try again next time the step is shown
+        this.stepLoads.delete(key);
+        placeholder.removeAttribute('aria-busy');
+        const message = DOMUtils.$('.step-placeholder-error', placeholder);
+        if (message) message.hidden = false;
+        return false;
+      });
+      this.stepLoads.set(key, load);
+    }
+
+    return this.stepLoads.get(key);
+  }
+
+  /**
+   * Replace a placeholder with the step's fragment and add the fragment's component styles
+   */
+  async fetchStep(stepNumber, placeholder) {
+    placeholder.setAttribute('aria-busy', 'true');
+
+    const response = await fetch(placeholder.getAttribute('data-step-fragment'));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const fragment = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const body = DOMUtils.$('.lab-steps', fragment);
+    if (!body) {
+      throw new Error('Step fragment has no content');
+    }
+
+    // Styles of components the page's own step doesn't use
+    DOMUtils.$$('link[rel="stylesheet"], style', fragment.head).forEach((style) => {
+      const isLoaded =
+        style.tagName === 'LINK'
+          ? DOMUtils.$(`link[rel="stylesheet"][href="${style.getAttribute('href')}"]`)
+          : DOMUtils.$$('style', document.head).some(
+              (existing) => existing.textContent === style.textContent
+            );
+      if (!isLoaded) document.head.appendChild(document.importNode(style, true));
+    });
+
+    const element = document.importNode(body, true);
+    placeholder.replaceWith(element);
+    console.log(`📄 Loaded step ${stepNumber}`);
+
+    document.dispatchEvent(
+      new CustomEvent('lab:step-loaded', {
+        detail: { stepNumber, element },
+      })
+    );
+    return true;
+  }
+
+  /**
+   * Fetch the step after the current one ahead of time
+   */
+  preloadNextStep() {
+    const nextItem = this.navItems[this.getCurrentStepIndex() + 1];
+    const nextStepNumber = nextItem?.getAttribute('data-step');
+
+    if (nextStepNumber && this.hasStep(nextStepNumber)) {
+      this.loadStep(nextStepNumber);
+    }
+  }
+
   /**
    * Dispatch step change event
    */
@@ -269,49 +541,117 @@ export class LabNavigation {
   }
 
   /**
-   * Add keyboard navigation support
+   * Report time regularly so the shown time stays current; it is only saved on step changes,
+   * when the tab is hidden and on pagehide
    */
-  enableKeyboardNavigation() {
-    const cleanup = DOMUtils.addEventListenerWithCleanup(document, 'keydown', (e) => {
-      // Only handle if focus is within lab navigation
-      const focusedElement = document.activeElement;
-      const isInLabNav = this.navItems.some(
-        (item) => item === focusedElement || item.contains(focusedElement)
-      );
+  setupStepTimer() {
+    const interval = setInterval(() => this.flushStepTime(false), this.options.timeReportInterval);
+    this.cleanupFunctions.push(() => clearInterval(interval));
 
-      if (!isInLabNav) return;
-
-      switch (e.key) {
-        case 'ArrowLeft':
-        case 'ArrowUp':
-          e.preventDefault();
-          this.previousStep();
-          break;
-        case 'ArrowRight':
-        case 'ArrowDown':
-          e.preventDefault();
-          this.nextStep();
-          break;
-        case 'Home':
-          e.preventDefault();
-          this.navigateToStep(1);
-          break;
-        case 'End':
-          e.preventDefault();
-          this.navigateToStep(this.getTotalSteps());
-          break;
-      }
-    });
+    const cleanup = DOMUtils.addEventListenerWithCleanup(window, 'pagehide', () =>
+      this.flushStepTime()
+    );
 
     if (cleanup) {
       this.cleanupFunctions.push(cleanup);
     }
   }
 
+  /**
+   * Start timing a step, reporting the time spent on the previous one
+   */
+  startStepTimer(stepNumber) {
+    this.flushStepTime();
+    this.stepTimer.stepNumber = stepNumber;
+    this.stepTimer.since = this.stepTimer.paused ? null : Date.now();
+  }
+
+  /**
+   * Stop the clock while the tab is hidden (called by the app on visibility changes)
+   */
+  pauseStepTimer() {
+    this.flushStepTime();
+    this.stepTimer.since = null;
+    this.stepTimer.paused = true;
+  }
+
+  /**
+   * Restart the clock on the current step
+   */
+  resumeStepTimer() {
+    this.stepTimer.paused = false;
+    if (this.stepTimer.stepNumber && this.stepTimer.since === null) {
+      this.stepTimer.since = Date.now();
+    }
+  }
+
+  /**
+   * Report the active time since the last report, asking for it to be saved unless `save` is false
+   */
+  flushStepTime(save = true) {
+    const { stepNumber, since } = this.stepTimer;
+    if (!stepNumber || since === null) return;
+
+    const now = Date.now();
+    this.stepTimer.since = now;
+
+    document.dispatchEvent(
+      new CustomEvent('lab:step-time', {
+        detail: { stepNumber, ms: now - since, save },
+      })
+    );
+  }
+
+  /**
+   * Keep the resume point's scroll offset current
+   */
+  setupResumePoint() {
+    const saveLater = DOMUtils.debounce(() => this.saveResumePoint(), 500);
+
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(window, 'scroll', saveLater, { passive: true }),
+      DOMUtils.addEventListenerWithCleanup(window, 'pagehide', () => this.saveResumePoint()),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Remember where the learner is, for the Continue card on /labs
+   */
+  saveResumePoint() {
+    if (!this.labId || !this.currentStep) return;
+
+    this.storage.save('resume', {
+      lab: this.labId,
+      step: Number(this.currentStep),
+      heading: this.currentHeading,
+      path: window.location.pathname,
+      scrollY: Math.round(window.scrollY),
+      updatedAt: Date.now(),
+    });
+  }
+
+  /**
+   * When opened from the Continue card (?resume), return the saved point for this page
+   * and drop the parameter from the URL
+   */
+  takeResumeRequest() {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has('resume')) return null;
+
+    url.searchParams.delete('resume');
+    history.replaceState(history.state, '', url);
+
+    const point = this.storage.load('resume', null);
+    return point?.lab === this.labId && point.path === url.pathname ? point : null;
+  }
+
   /**
    * Cleanup event listeners
    */
   destroy() {
+    this.flushStepTime();
     this.cleanupFunctions.forEach((cleanup) => cleanup());
     this.cleanupFunctions = [];
   }
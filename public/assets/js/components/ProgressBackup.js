@@ -0,0 +1,305 @@
+/**
+ * Progress Backup Component - Download progress to a file and restore it with a preview
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { StorageManager } from '../utils/storage.js';
+import {
+  createBackup,
+  planNotesImport,
+  planProgressImport,
+  validateBackup,
+} from '../utils/backup.js';
+
+export class ProgressBackup {
+  constructor(progressTracker, themeToggle, options = {}) {
+    this.options = {
+      navSelector: '.lab-nav',
+      fileName: 'cloudflare-labs-progress',
+      ...options,
+    };
+
+    this.progressTracker = progressTracker;
+    this.themeToggle = themeToggle;
+    this.storage = new StorageManager('labs');
+    this.pendingBackup = null;
+    this.container = null;
+    this.dialog = null;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize progress backup
+   */
+  init() {
+    if (!this.progressTracker || !DOMUtils.$(this.options.navSelector)) return;
+
+    this.createPanel();
+    this.createDialog();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Create the backup actions at the bottom of the lab sidebar
+   */
+  createPanel() {
+    this.container = DOMUtils.createElement(
+      'div',
+      {
+        className: 'progress-backup',
+      },
+      `
+      <span class="progress-backup-title">Backup</span>
+      <div class="progress-backup-actions">
+        <button type="button" class="btn btn-secondary btn-sm" data-backup-action="download">
+          Download progress
+        </button>
+        <button type="button" class="btn btn-secondary btn-sm" data-backup-action="restore">
+          Restore from file
+        </button>
+        <input type="file" accept="application/json,.json" data-backup-file hidden />
+      </div>
+      <p class="progress-backup-status" role="status" aria-live="polite"></p>
+    `
+    );
+
+    DOMUtils.$(this.options.navSelector).appendChild(this.container);
+  }
+
+  /**
+   * Create the import preview dialog
+   */
+  createDialog() {
+    this.dialog = DOMUtils.createElement(
+      'dialog',
+      {
+        className: 'progress-import-dialog',
+        'aria-labelledby': 'progress-import-title',
+      },
+      `
+      <form method="dialog" class="progress-import-form">
+        <h2 id="progress-import-title">Restore progress</h2>
+        <p class="progress-import-source"></p>
+        <fieldset class="progress-import-modes">
+          <legend>How should the file be applied?</legend>
+          <label>
+            <input type="radio" name="mode" value="merge" checked />
+            <span><strong>Merge</strong> – keep everything done here or in the file</span>
+          </label>
+          <label>
+            <input type="radio" name="mode" value="replace" />
+            <span><strong>Replace</strong> – make this device match the file exactly</span>
+          </label>
+        </fieldset>
+        <ul class="progress-import-changes"></ul>
+        <div class="progress-import-actions">
+          <button type="submit" value="cancel" class="btn btn-secondary btn-sm">Cancel</button>
+          <button type="submit" value="apply" class="btn btn-primary btn-sm">Apply</button>
+        </div>
+      </form>
+    `
+    );
+
+    document.body.appendChild(this.dialog);
+  }
+
+  /**
+   * Setup actions, file selection and the preview dialog
+   */
+  setupEventListeners() {
+    const fileInput = DOMUtils.$('[data-backup-file]', this.container);
+
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(this.container, 'click', (e) => {
+        const action = e.target.closest('[data-backup-action]')?.getAttribute('data-backup-action');
+        if (action === 'download') this.download();
+        if (action === 'restore') fileInput.click();
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(fileInput, 'change', () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (file) this.readFile(file);
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(this.dialog, 'change', (e) => {
+        if (e.target.name === 'mode') this.renderPreview();
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(this.dialog, 'close', () => {
+        if (this.dialog.returnValue === 'apply') {
+          this.apply(this.getMode());
+        }
+        this.pendingBackup = null;
+      }),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Current theme, progress and notes as a backup document
+   */
+  createBackup() {
+    return createBackup({
+      progress: this.progressTracker.exportProgress(),
+      theme: this.themeToggle?.getTheme() || null,
+      notes: this.storage.load('notes', {}),
+    });
+  }
+
+  /**
+   * Download a backup file
+   */
+  download() {
+    const backup = this.createBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = DOMUtils.createElement('a', {
+      href: url,
+      download: `${this.options.fileName}-${backup.exportedAt.slice(0, 10)}.json`,
+    });
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    this.setStatus('Progress downloaded.');
+    console.log('💾 Progress backup downloaded');
+  }
+
+  /**
+   * Read and validate a backup file, then show the preview
+   */
+  async readFile(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      this.setStatus(`${file.name} is not valid JSON.`, true);
+      return;
+    }
+
+    const { backup, errors } = validateBackup(data);
+    if (!backup) {
+      console.warn('⚠️ Invalid progress backup:', errors);
+      this.setStatus(`Can't restore ${file.name}: ${errors[0]}`, true);
+      return;
+    }
+
+    this.pendingBackup = backup;
+    DOMUtils.$('.progress-import-source', this.dialog).textContent = backup.exportedAt
+      ? `${file.name}, saved ${new Date(backup.exportedAt).toLocaleString()}`
+      : file.name;
+    DOMUtils.$('input[value="merge"]', this.dialog).checked = true;
+    this.renderPreview();
+    this.dialog.returnValue = '';
+    this.dialog.showModal();
+  }
+
+  /**
+   * Selected import mode
+   */
+  getMode() {
+    return DOMUtils.$('input[name="mode"]:checked', this.dialog)?.value || 'merge';
+  }
+
+  /**
+   * List what the import will change in the selected mode
+   */
+  renderPreview() {
+    if (!this.pendingBackup) return;
+
+    const mode = this.getMode();
+    const { changes } = planProgressImport(
+      this.progressTracker.store.data.labs,
+      this.pendingBackup.progress.labs,
+      mode
+    );
+    const items = changes.map(({ labId, completed, uncompleted, updated }) => {
+      const parts = [
+        completed && `${completed} step${completed === 1 ? '' : 's'} completed`,
+        uncompleted && `${uncompleted} step${uncompleted === 1 ? '' : 's'} no longer completed`,
+        updated && `${updated} step${updated === 1 ? '' : 's'} updated`,
+      ].filter(Boolean);
+
+      return `<li><strong>${this.escapeHtml(labId)}</strong>: ${parts.join(', ')}</li>`;
+    });
+
+    const { theme } = this.pendingBackup;
+    const currentTheme = this.themeToggle?.getTheme();
+    if (theme && currentTheme && theme !== currentTheme) {
+      items.push(`<li>Theme: ${currentTheme} → ${theme}</li>`);
+    }
+
+    const notes = planNotesImport(this.storage.load('notes', {}), this.pendingBackup.notes, mode);
+    notes.changes.forEach(({ labId, added, updated, removed }) => {
+      const parts = [
+        added && `${added} note${added === 1 ? '' : 's'} added`,
+        updated && `${updated} note${updated === 1 ? '' : 's'} updated`,
+        removed && `${removed} note${removed === 1 ? '' : 's'} removed`,
+      ].filter(Boolean);
+
+      items.push(`<li><strong>${this.escapeHtml(labId)}</strong> notes: ${parts.join(', ')}</li>`);
+    });
+
+    DOMUtils.$('.progress-import-changes', this.dialog).innerHTML =
+      items.length > 0
+        ? items.join('')
+        : '<li class="progress-import-empty">Nothing will change</li>';
+  }
+
+  /**
+   * Apply the pending backup
+   */
+  apply(mode) {
+    const backup = this.pendingBackup;
+    if (!backup) return;
+
+    const imported = this.progressTracker.importProgress(backup.progress, { mode });
+
+    const { notes } = planNotesImport(this.storage.load('notes', {}), backup.notes, mode);
+    this.storage.save('notes', notes);
+    if (backup.theme && this.themeToggle) {
+      this.themeToggle.setTheme(backup.theme);
+    }
+
+    this.setStatus(imported ? 'Progress restored.' : 'Progress could not be restored.', !imported);
+    console.log(`📥 Progress backup applied (${mode})`);
+  }
+
+  /**
+   * Show a status line under the actions
+   */
+  setStatus(message, isError = false) {
+    const status = DOMUtils.$('.progress-backup-status', this.container);
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  escapeHtml(text) {
+    return text.replace(
+      /[&<>"']/g,
+      (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+    );
+  }
+
+  /**
+   * Cleanup event listeners and markup
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+
+    this.container?.remove();
+    this.dialog?.remove();
+    this.container = null;
+    this.dialog = null;
+  }
+}
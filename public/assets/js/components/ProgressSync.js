@@ -0,0 +1,283 @@
+/**
+ * Progress Sync Component - Share progress across devices with an anonymous sync code
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { StorageManager } from '../utils/storage.js';
+
+export class ProgressSync {
+  constructor(progressTracker, options = {}) {
+    this.options = {
+      apiUrl: '/api/sync',
+      navSelector: '.lab-nav',
+      pushDelay: 1500,
+      ...options,
+    };
+
+    this.progressTracker = progressTracker;
+    this.storage = new StorageManager('labs');
+    this.state = this.storage.load('sync', null);
+    this.isSyncing = false;
+    this.hasPendingSync = false;
+    this.container = null;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize progress sync
+   */
+  init() {
+    if (!this.progressTracker || !DOMUtils.$(this.options.navSelector)) return;
+
+    this.createPanel();
+    this.setupEventListeners();
+    this.render();
+
+    if (this.state) {
+      this.sync();
+    }
+  }
+
+  /**
+   * Create the sync panel at the bottom of the lab sidebar
+   */
+  createPanel() {
+    this.container = DOMUtils.createElement(
+      'div',
+      {
+        className: 'progress-sync',
+      },
+      `
+      <span class="progress-sync-title">Sync across devices</span>
+      <div class="progress-sync-body"></div>
+      <p class="progress-sync-status" role="status" aria-live="polite"></p>
+    `
+    );
+
+    DOMUtils.$(this.options.navSelector).appendChild(this.container);
+  }
+
+  /**
+   * Setup panel actions and push local changes
+   */
+  setupEventListeners() {
+    const pushLater = DOMUtils.debounce(() => this.sync(), this.options.pushDelay);
+
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(this.container, 'click', (e) => {
+        const action = e.target.closest('[data-sync-action]')?.getAttribute('data-sync-action');
+        if (action === 'create') this.createCode();
+        if (action === 'sync') this.sync();
+        if (action === 'disconnect') this.disconnect();
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(this.container, 'submit', (e) => {
+        e.preventDefault();
+        const input = DOMUtils.$('[data-sync-code]', this.container);
+        this.connect(input.value);
+      }),
+
+      // Tracker events only fire for local changes, so applying a merge doesn't push again
+      ...[
+        'step-completed',
+        'step-incompleted',
+        'step-visited',
+        'task-toggled',
+        'quiz-submitted',
+        'progress-reset',
+        'progress-imported',
+      ].map((type) =>
+        DOMUtils.addEventListenerWithCleanup(document, `progress:${type}`, () => {
+          if (this.state) pushLater();
+        })
+      ),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+
+    // Connecting or disconnecting in another tab applies here too
+    this.cleanupFunctions.push(
+      this.storage.subscribe('sync', (state) => {
+        this.state = state;
+        this.render();
+      })
+    );
+  }
+
+  /**
+   * Render the panel for the connected or disconnected state
+   */
+  render() {
+    const body = DOMUtils.$('.progress-sync-body', this.container);
+
+    if (this.state) {
+      body.innerHTML = `
+        <p class="progress-sync-code">
+          Code <code>${this.state.code}</code>
+        </p>
+        <div class="progress-sync-actions">
+          <button type="button" class="btn btn-secondary btn-sm" data-sync-action="sync">Sync now</button>
+          <button type="button" class="btn btn-secondary btn-sm" data-sync-action="disconnect">Disconnect</button>
+        </div>
+      `;
+    } else {
+      body.innerHTML = `
+        <button type="button" class="btn btn-secondary btn-sm" data-sync-action="create">Create sync code</button>
+        <form class="progress-sync-form">
+          <input
+            type="text"
+            data-sync-code
+            placeholder="XXXX-XXXX-XXXX"
+            aria-label="Existing sync code"
+            autocomplete="off"
+            spellcheck="false"
+          />
+          <button type="submit" class="btn btn-secondary btn-sm">Connect</button>
+        </form>
+      `;
+    }
+
+    this.setStatus(
+      this.state?.lastSyncedAt
+        ? `Last synced ${new Date(this.state.lastSyncedAt).toLocaleString()}`
+        : this.state
+          ? 'Not synced yet'
+          : 'Create a code, or enter the one from your other device.'
+    );
+  }
+
+  /**
+   * Show a status line under the panel
+   */
+  setStatus(message, isError = false) {
+    const status = DOMUtils.$('.progress-sync-status', this.container);
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Call the sync API
+   */
+  async request(path, init = {}) {
+    const response = await fetch(`${this.options.apiUrl}${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', ...init.headers },
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(body.error || `HTTP ${response.status}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Create a new code and upload local progress to it
+   */
+  async createCode() {
+    try {
+      this.setStatus('Creating sync code...');
+      const { code } = await this.request('', { method: 'POST' });
+      this.saveState({ code, lastSyncedAt: null });
+      this.render();
+      await this.sync();
+    } catch (error) {
+      console.error('❌ Failed to create sync code:', error);
+      this.setStatus(`Could not create a sync code: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Connect to an existing code, merging local progress into it
+   */
+  async connect(value) {
+    const code = value.trim().toUpperCase();
+    if (!code) return;
+
+    try {
+      this.setStatus('Connecting...');
+      await this.request(`/${encodeURIComponent(code)}`);
+      this.saveState({ code, lastSyncedAt: null });
+      this.render();
+      await this.sync();
+    } catch (error) {
+      console.error('❌ Failed to connect sync code:', error);
+      this.setStatus(`Could not connect: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Stop syncing on this device (progress stays local)
+   */
+  disconnect() {
+    this.state = null;
+    this.hasPendingSync = false;
+    this.storage.remove('sync');
+    this.render();
+    console.log('🔌 Progress sync disconnected');
+  }
+
+  /**
+   * Push local progress and apply the merged document
+   */
+  async sync() {
+    if (!this.state) return;
+    if (this.isSyncing) {
+      // Changes made mid-request go out once it finishes
+      this.hasPendingSync = true;
+      return;
+    }
+
+    const { store } = this.progressTracker;
+    this.isSyncing = true;
+    this.setStatus('Syncing...');
+
+    try {
+      const { document: merged } = await this.request(`/${encodeURIComponent(this.state.code)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ version: store.data.version, labs: store.data.labs }),
+      });
+
+      store.data.labs = merged.labs;
+      store.save();
+      this.progressTracker.reloadProgress();
+
+      this.saveState({ ...this.state, lastSyncedAt: new Date().toISOString() });
+      this.render();
+      console.log(`☁️ Progress synced (${Object.keys(merged.labs).length} labs)`);
+    } catch (error) {
+      console.error('❌ Progress sync failed:', error);
+      this.setStatus(`Sync failed: ${error.message}`, true);
+    } finally {
+      this.isSyncing = false;
+      if (this.hasPendingSync) {
+        this.hasPendingSync = false;
+        this.sync();
+      }
+    }
+  }
+
+  /**
+   * Persist the sync code
+   */
+  saveState(state) {
+    this.state = state;
+    this.storage.save('sync', state);
+  }
+
+  /**
+   * Cleanup event listeners and markup
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+    }
+  }
+}
@@ -2,24 +2,45 @@
  * Progress Tracker Component - Clean progress management
  */
 
+import {
+  ProgressStore,
+  calculateLabCompletion,
+  calculateStepCompletion,
+} from '../utils/progress.js';
+import { planProgressImport, validateProgress } from '../utils/backup.js';
+import { formatDuration } from '../utils/duration.js';
 import { StorageManager } from '../utils/storage.js';
 import { DOMUtils } from '../utils/dom.js';
 
 export class ProgressTracker {
   constructor(options = {}) {
     this.options = {
-      storageKey: 'progress',
       navSelector: '.lab-nav',
       navItemSelector: '.lab-nav-item',
+      contentSelector: '.step-content',
+      completeSelector: '[data-step-complete]',
+      // Defaults to the lab rendered in the page (.lab-nav[data-lab])
+      labId: null,
+      // Auto-complete also requires this share of the step's estimated duration
+      autoCompleteTimeRatio: 0.5,
       ...options,
     };
 
-    this.storage = new StorageManager('mcp');
-    this.progress = this.loadProgress();
+    this.store = new ProgressStore();
+    this.settings = new StorageManager('labs');
+    this.progress = {};
     this.cleanupFunctions = [];
     this.progressContainer = null;
+    this.labId = null;
+    this.activeStepId = null;
+    this.endObserver = null;
+    // In-memory engagement per step for auto-complete: { scrolledToEnd, copied }
+    this.engagement = {};
+    // Active time (ms) per step not saved yet; it is added to the stored total when saved
+    this.unsavedTime = {};
 
-    this.init();
+    // Resolves once stored progress is loaded (init waits for the lab navigation)
+    this.ready = this.init();
   }
 
   /**
@@ -32,8 +53,18 @@ export class ProgressTracker {
       
       console.log('🔧 Initializing progress tracker...');
       
+      this.labId =
+        this.options.labId || DOMUtils.$(this.options.navSelector).getAttribute('data-lab');
+      this.progress = this.loadProgress();
+
       await this.setupProgressBar();
       this.setupNavigation();
+      this.setupPrerequisiteWarnings();
+      this.setupCompletionControls();
+      this.setupTasks();
+      this.setupAutoComplete();
+      this.setupLoadedSteps();
+      this.setupCrossTabSync();
       this.updateUI();
       
       console.log('✅ Progress tracker initialized successfully');
@@ -69,17 +100,37 @@ export class ProgressTracker {
   }
 
   /**
-   * Load progress from storage
+   * Load this lab's progress from storage
    */
   loadProgress() {
-    return this.storage.load(this.options.storageKey, {});
+    return this.store.getLabProgress(this.labId);
   }
 
   /**
-   * Save progress to storage
+   * Save this lab's progress to storage
    */
   saveProgress() {
-    return this.storage.save(this.options.storageKey, this.progress);
+    return this.store.setLabProgress(this.labId, this.progress);
+  }
+
+  /**
+   * Replace a step's state, stamping it for last-write-wins sync
+   */
+  setStepState(stepId, state) {
+    this.progress[stepId] = { ...state, updatedAt: Date.now() };
+  }
+
+  /**
+   * Re-read this lab's progress after the store changed underneath (e.g. a sync)
+   */
+  reloadProgress() {
+    this.progress = this.loadProgress();
+    this.updateUI();
+    DOMUtils.$$(this.options.contentSelector).forEach((content) =>
+      this.updatePrerequisiteWarning(content.id.replace('step-', ''))
+    );
+    // Not one of the events ProgressSync pushes on, so a pulled sync doesn't echo back
+    this.dispatchProgressEvent('progress-reloaded');
   }
 
   /**
@@ -92,14 +143,18 @@ export class ProgressTracker {
     }
 
     console.log(`✅ Marking step ${stepId} as completed`);
-    
-    this.progress[stepId] = true;
+
+    this.setStepState(stepId, {
+      ...this.progress[stepId],
+      visited: true,
+      completed: true,
+      completedAt: new Date().toISOString(),
+    });
     const saved = this.saveProgress();
 
     if (saved) {
       console.log(`💾 Progress saved for step ${stepId}`);
-      this.updateStepUI(stepId);
-      this.updateProgressBar();
+      this.updateUI();
       this.dispatchProgressEvent('step-completed', { stepId });
       
       // Log updated progress
@@ -120,33 +175,232 @@ export class ProgressTracker {
       return false;
     }
 
-    delete this.progress[stepId];
+    const { completedAt, ...state } = this.progress[stepId] || {};
+    this.setStepState(stepId, { ...state, completed: false });
     const saved = this.saveProgress();
 
     if (saved) {
-      this.updateStepUI(stepId);
-      this.updateProgressBar();
+      this.updateUI();
       this.dispatchProgressEvent('step-incompleted', { stepId });
     }
 
     return saved;
   }
 
+  /**
+   * Mark a completed step incomplete, or an incomplete one completed
+   */
+  toggleStepCompleted(stepId) {
+    if (this.isStepCompleted(stepId)) {
+      this.markStepIncomplete(stepId);
+    } else {
+      this.markStepCompleted(stepId);
+    }
+  }
+
+  /**
+   * Mark step as visited (opened), without completing it
+   */
+  markStepVisited(stepId) {
+    if (!stepId || this.isStepVisited(stepId)) return false;
+
+    this.setStepState(stepId, {
+      ...this.progress[stepId],
+      visited: true,
+      visitedAt: new Date().toISOString(),
+    });
+    const saved = this.saveProgress();
+
+    if (saved) {
+      this.updateStepUI(stepId);
+      this.dispatchProgressEvent('step-visited', { stepId });
+    }
+
+    return saved;
+  }
+
   /**
    * Check if step is completed
    */
   isStepCompleted(stepId) {
-    return Boolean(this.progress[stepId]);
+    return Boolean(this.progress[stepId]?.completed);
+  }
+
+  /**
+   * Check if step has been opened
+   */
+  isStepVisited(stepId) {
+    return Boolean(this.progress[stepId]?.visited);
+  }
+
+  /**
+   * Get the prerequisite steps declared for a step (rendered into data-prerequisites)
+   */
+  getStepPrerequisites(stepId) {
+    const navItem = DOMUtils.$(`${this.options.navItemSelector}[data-step="${stepId}"]`);
+    if (!navItem) return [];
+
+    try {
+      return JSON.parse(navItem.getAttribute('data-prerequisites') || '[]');
+    } catch (error) {
+      console.warn(`Invalid prerequisites for step ${stepId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Check if a prerequisite step is completed
+   */
+  isPrerequisiteMet(prerequisite) {
+    return prerequisite.lab === this.labId
+      ? this.isStepCompleted(prerequisite.step)
+      : this.store.isStepCompleted(prerequisite.lab, prerequisite.step);
   }
 
   /**
-   * Get completion percentage
+   * Get prerequisites of a step that aren't completed yet
+   */
+  getUnmetPrerequisites(stepId) {
+    return this.getStepPrerequisites(stepId).filter(
+      (prerequisite) => !this.isPrerequisiteMet(prerequisite)
+    );
+  }
+
+  /**
+   * Check if step is locked (has uncompleted prerequisites)
+   */
+  isStepLocked(stepId) {
+    return !this.isStepCompleted(stepId) && this.getUnmetPrerequisites(stepId).length > 0;
+  }
+
+  /**
+   * Get a step's checkable sub-step tasks (rendered into data-tasks)
+   */
+  getStepTasks(stepId) {
+    const navItem = DOMUtils.$(`${this.options.navItemSelector}[data-step="${stepId}"]`);
+    if (!navItem) return [];
+
+    try {
+      return JSON.parse(navItem.getAttribute('data-tasks') || '[]');
+    } catch (error) {
+      console.warn(`Invalid tasks for step ${stepId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Check if a sub-step task is done
+   */
+  isTaskCompleted(stepId, taskId) {
+    return Boolean(this.progress[stepId]?.tasks?.[taskId]);
+  }
+
+  /**
+   * Count a step's done and total tasks
+   */
+  getTaskCounts(stepId) {
+    const tasks = this.getStepTasks(stepId);
+    const done = tasks.filter((task) => this.isTaskCompleted(stepId, task.id)).length;
+
+    return { done, total: tasks.length };
+  }
+
+  /**
+   * Check or uncheck a sub-step task
+   */
+  setTaskCompleted(stepId, taskId, completed) {
+    const state = this.progress[stepId] || {};
+    this.setStepState(stepId, {
+      ...state,
+      visited: true,
+      tasks: { ...state.tasks, [taskId]: completed },
+    });
+    const saved = this.saveProgress();
+
+    if (saved) {
+      this.updateUI();
+      this.dispatchProgressEvent('task-toggled', { stepId, taskId, completed });
+    }
+
+    return saved;
+  }
+
+  /**
+   * Check if a step ends with a knowledge-check quiz (rendered into data-has-quiz)
+   */
+  hasQuiz(stepId) {
+    const navItem = DOMUtils.$(`${this.options.navItemSelector}[data-step="${stepId}"]`);
+    return Boolean(navItem && navItem.hasAttribute('data-has-quiz'));
+  }
+
+  /**
+   * Get a step's stored quiz result ({ answers, score, total, bestScore, passed, attempts })
+   */
+  getQuizResult(stepId) {
+    return this.progress[stepId]?.quiz || null;
+  }
+
+  /**
+   * Store a quiz attempt; the best score and a pass are kept across attempts.
+   * With completesStep, passing also completes the step.
+   */
+  saveQuizResult(stepId, { answers, score, total, passed }, { completesStep = false } = {}) {
+    const state = this.progress[stepId] || {};
+    const previous = state.quiz || {};
+    const quiz = {
+      answers,
+      score,
+      total,
+      bestScore: Math.max(score, previous.bestScore || 0),
+      passed: Boolean(passed || previous.passed),
+      attempts: (previous.attempts || 0) + 1,
+      submittedAt: new Date().toISOString(),
+    };
+    const completes = completesStep && quiz.passed && !state.completed;
+
+    this.setStepState(stepId, {
+      ...state,
+      visited: true,
+      quiz,
+      ...(completes && { completed: true, completedAt: quiz.submittedAt }),
+    });
+    const saved = this.saveProgress();
+
+    if (saved) {
+      this.updateUI();
+      this.dispatchProgressEvent('quiz-submitted', { stepId, score, total, passed });
+      if (completes) {
+        this.dispatchProgressEvent('step-completed', { stepId });
+      }
+    }
+
+    return saved;
+  }
+
+  /**
+   * Share of a step that is done: 1 when completed, else the share of its tasks checked off
+   * (and its quiz passed)
+   */
+  getStepCompletion(stepId) {
+    const taskIds = this.getStepTasks(stepId).map((task) => task.id);
+    return calculateStepCompletion(this.progress[stepId], taskIds, this.hasQuiz(stepId));
+  }
+
+  /**
+   * Get completion percentage, weighting each step by its estimated duration
    */
   getCompletionPercentage() {
-    const totalSteps = this.getTotalSteps();
-    const completedSteps = this.getCompletedStepsCount();
+    const steps = DOMUtils.$$(this.options.navItemSelector).map((item) => {
+      const step = item.getAttribute('data-step');
+      return {
+        step,
+        minutes: Number(item.getAttribute('data-duration-minutes')) || 0,
+        tasks: this.getStepTasks(step).map((task) => task.id),
+        quiz: item.hasAttribute('data-has-quiz'),
+      };
+    });
 
-    return totalSteps > 0 ? Math.round((completedSteps / totalSteps) * 100) : 0;
+    return calculateLabCompletion(steps, this.progress);
   }
 
   /**
@@ -161,7 +415,19 @@ export class ProgressTracker {
    * Get completed steps count
    */
   getCompletedStepsCount() {
-    return Object.values(this.progress).filter(Boolean).length;
+    return Object.values(this.progress).filter((state) => state.completed).length;
+  }
+
+  /**
+   * Get estimated minutes left, counting partly done steps by their unchecked tasks
+   */
+  getRemainingMinutes() {
+    const remaining = DOMUtils.$$(this.options.navItemSelector).reduce((total, item) => {
+      const minutes = Number(item.getAttribute('data-duration-minutes')) || 0;
+      return total + minutes * (1 - this.getStepCompletion(item.getAttribute('data-step')));
+    }, 0);
+
+    return Math.round(remaining);
   }
 
   /**
@@ -193,6 +459,11 @@ export class ProgressTracker {
       <div class="progress-bar">
         <div class="progress-fill"></div>
       </div>
+      <div class="progress-remaining"></div>
+      <div class="progress-quizzes" hidden>
+        <span class="progress-quizzes-title">Quiz scores</span>
+        <ul class="progress-quizzes-list"></ul>
+      </div>
     `
     );
 
@@ -200,34 +471,391 @@ export class ProgressTracker {
   }
 
   /**
-   * Setup navigation event listeners
+   * Track opened steps as visited (completion is explicit, see setupCompletionControls)
+   * and record the active time LabNavigation reports per step
    */
   setupNavigation() {
-    const navItems = DOMUtils.$$(this.options.navItemSelector);
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(document, 'lab:step-change', (e) =>
+        this.handleStepChange(e.detail.stepNumber)
+      ),
+      DOMUtils.addEventListenerWithCleanup(document, 'lab:step-time', (e) =>
+        this.addStepTime(e.detail.stepNumber, e.detail.ms, e.detail.save)
+      ),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+
+    // The initial step was shown before this component existed
+    const activeItem = DOMUtils.$(`${this.options.navItemSelector}.active`);
+    if (activeItem) {
+      this.handleStepChange(activeItem.getAttribute('data-step'));
+    }
+  }
+
+  /**
+   * Handle the learner opening a step
+   */
+  handleStepChange(stepId) {
+    this.activeStepId = stepId;
+    this.markStepVisited(stepId);
+  }
+
+  /**
+   * Add active time to a step, kept in memory until `save` is set
+   */
+  addStepTime(stepId, ms, save = true) {
+    this.unsavedTime[stepId] = (this.unsavedTime[stepId] || 0) + ms;
+    if (save) {
+      this.saveStepTime();
+    }
+
+    this.updateStepTime(stepId);
+    this.checkAutoComplete();
+  }
+
+  /**
+   * Add the unsaved active time to the stored totals
+   */
+  saveStepTime() {
+    if (Object.keys(this.unsavedTime).length === 0) return;
+
+    if (this.store.addStepTime(this.labId, this.unsavedTime)) {
+      this.unsavedTime = {};
+    }
+  }
+
+  /**
+   * Active time spent on a step (ms), saved or not
+   */
+  getStepTime(stepId) {
+    return (this.progress[stepId]?.activeMs || 0) + (this.unsavedTime[stepId] || 0);
+  }
+
+  /**
+   * Show time spent against the estimate in the step header, e.g. "you: 32 min / est. 45 min"
+   */
+  updateStepTime(stepId) {
+    const element = DOMUtils.$(`[data-step-time="${stepId}"]`);
+    if (!element) return;
+
+    const estimate = Number(element.getAttribute('data-estimate-minutes')) || 0;
+    const ms = this.getStepTime(stepId);
+    const spent = ms < 60000 ? '<1 min' : formatDuration(Math.round(ms / 60000));
+
+    const parts = [ms > 0 && `you: ${spent}`, estimate > 0 && `est. ${formatDuration(estimate)}`];
+    element.textContent = `⏱️ ${parts.filter(Boolean).join(' / ')}`;
+    DOMUtils.toggleClass(element, 'over-estimate', estimate > 0 && ms > estimate * 60000);
+  }
+
+  /**
+   * Setup "Mark step complete" buttons and the auto-complete preference
+   */
+  setupCompletionControls() {
+    const cleanup = DOMUtils.addEventListenerWithCleanup(document, 'click', (e) => {
+      const button = e.target.closest('.step-complete-button');
+      const control = button && button.closest(this.options.completeSelector);
+      if (!control) return;
+
+      this.toggleStepCompleted(control.getAttribute('data-step-complete'));
+    });
 
-    navItems.forEach((item) => {
+    const changeCleanup = DOMUtils.addEventListenerWithCleanup(document, 'change', (e) => {
+      if (e.target.matches('[data-auto-complete]')) {
+        this.setAutoCompleteEnabled(e.target.checked);
+      }
+    });
+
+    [cleanup, changeCleanup]
+      .filter(Boolean)
+      .forEach((fn) => this.cleanupFunctions.push(fn));
+  }
+
+  /**
+   * Add task checkboxes to sub-step headings and store their changes
+   */
+  setupTasks() {
+    this.addTaskChecks();
+
+    const cleanup = DOMUtils.addEventListenerWithCleanup(document, 'change', (e) => {
+      if (e.target.matches('[data-task]')) {
+        this.setTaskCompleted(
+          e.target.getAttribute('data-task-step'),
+          e.target.getAttribute('data-task'),
+          e.target.checked
+        );
+      }
+    });
+
+    if (cleanup) {
+      this.cleanupFunctions.push(cleanup);
+    }
+  }
+
+  /**
+   * Add a checkbox to each sub-step heading in the page that doesn't have one yet
+   */
+  addTaskChecks() {
+    DOMUtils.$$(this.options.navItemSelector).forEach((item) => {
       const stepId = item.getAttribute('data-step');
-      if (!stepId) return;
+      const stepContent = DOMUtils.$(`#step-${stepId}`);
+      if (!stepContent) return;
 
-      // Update UI based on current progress
-      this.updateStepUI(stepId);
+      this.getStepTasks(stepId).forEach((task) => {
+        const heading = DOMUtils.$(`[id="${task.id}"]`, stepContent);
+        if (!heading || DOMUtils.$('.task-check', heading)) return;
 
-      // Add click handler
-      const cleanup = DOMUtils.addEventListenerWithCleanup(item, 'click', () =>
-        this.handleStepClick(stepId)
+        const label = DOMUtils.createElement(
+          'label',
+          { className: 'task-check', title: 'Mark this task done' },
+          `<input type="checkbox" data-task="${task.id}" data-task-step="${stepId}" /> <span>Done</span>`
+        );
+        heading.appendChild(label);
+      });
+    });
+  }
+
+  /**
+   * Wire up a step body fetched after the page loaded (LabNavigation.loadStep)
+   */
+  setupLoadedSteps() {
+    const cleanup = DOMUtils.addEventListenerWithCleanup(document, 'lab:step-loaded', (e) => {
+      const { stepNumber, element } = e.detail;
+
+      this.addTaskChecks();
+      DOMUtils.$$(this.options.completeSelector, element).forEach((control) =>
+        this.endObserver?.observe(control)
+      );
+      this.updateStepUI(stepNumber);
+      this.updateCompletionControls();
+    });
+
+    if (cleanup) {
+      this.cleanupFunctions.push(cleanup);
+    }
+  }
+
+  /**
+   * Live-update when another tab changes progress or settings
+   */
+  setupCrossTabSync() {
+    this.cleanupFunctions.push(
+      this.store.onExternalChange(() => {
+        console.log('🔄 Progress changed in another tab');
+        this.reloadProgress();
+      }),
+      this.settings.subscribe('settings', () => this.updateCompletionControls())
+    );
+  }
+
+  /**
+   * Check if the optional auto-complete rule is on
+   */
+  isAutoCompleteEnabled() {
+    return Boolean(this.settings.load('settings', {}).autoComplete);
+  }
+
+  /**
+   * Persist the auto-complete preference
+   */
+  setAutoCompleteEnabled(enabled) {
+    const settings = this.settings.load('settings', {});
+    this.settings.save('settings', { ...settings, autoComplete: enabled });
+    this.updateCompletionControls();
+    this.checkAutoComplete();
+  }
+
+  /**
+   * Track the auto-complete signals: reaching the end of the step and copying its code
+   * (time spent arrives through addStepTime)
+   */
+  setupAutoComplete() {
+    if ('IntersectionObserver' in window) {
+      this.endObserver = new IntersectionObserver((entries) => {
+        entries
+          .filter((entry) => entry.isIntersecting)
+          .forEach((entry) => {
+            const stepId = entry.target.getAttribute('data-step-complete');
+            if (stepId === this.activeStepId) {
+              this.getEngagement(stepId).scrolledToEnd = true;
+              this.checkAutoComplete();
+            }
+          });
+      });
+
+      DOMUtils.$$(this.options.completeSelector).forEach((control) =>
+        this.endObserver.observe(control)
       );
+      this.cleanupFunctions.push(() => this.endObserver.disconnect());
+    }
+
+    const cleanups = [
+      // Copy buttons (CopyToClipboard) and manual copies from a code block
+      DOMUtils.addEventListenerWithCleanup(document, 'code:copied', (e) =>
+        this.handleCodeCopied(e.detail.codeBlock)
+      ),
+      DOMUtils.addEventListenerWithCleanup(document, 'copy', () => {
+        const selection = window.getSelection();
+        const node = selection && selection.anchorNode;
+        const element = node && (node.nodeType === 1 ? node : node.parentElement);
+        this.handleCodeCopied(element && element.closest('pre'));
+      }),
+    ];
 
-      if (cleanup) {
-        this.cleanupFunctions.push(cleanup);
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Get (or start) engagement tracking for a step
+   */
+  getEngagement(stepId) {
+    if (!this.engagement[stepId]) {
+      this.engagement[stepId] = {
+        scrolledToEnd: false,
+        copied: new Set(),
+      };
+    }
+    return this.engagement[stepId];
+  }
+
+  /**
+   * Record a copied code block of the step it belongs to
+   */
+  handleCodeCopied(codeBlock) {
+    const pre = codeBlock && codeBlock.closest('pre');
+    const stepContent = pre && pre.closest('.step-content');
+    if (!stepContent) return;
+
+    const stepId = stepContent.id.replace('step-', '');
+    const index = this.getCodeTargets(stepContent).indexOf(this.getCodeTarget(pre));
+    this.getEngagement(stepId).copied.add(index);
+    this.checkAutoComplete();
+  }
+
+  /**
+   * Code to copy in a step: every code block, with a group of tabbed alternatives (CodeTabs) counted once
+   */
+  getCodeTargets(stepContent) {
+    return [...new Set(DOMUtils.$$('pre', stepContent).map((pre) => this.getCodeTarget(pre)))];
+  }
+
+  /**
+   * The code block itself, or the tab group it is an alternative in
+   */
+  getCodeTarget(pre) {
+    return pre.closest('[data-code-tabs]') || pre;
+  }
+
+  /**
+   * Complete the active step once every auto-complete condition holds
+   */
+  checkAutoComplete() {
+    const stepId = this.activeStepId;
+    if (!stepId || !this.isAutoCompleteEnabled() || this.isStepCompleted(stepId)) return;
+
+    const stepContent = DOMUtils.$(`#step-${stepId}`);
+    const navItem = DOMUtils.$(`${this.options.navItemSelector}[data-step="${stepId}"]`);
+    if (!stepContent || !navItem) return;
+
+    const engagement = this.getEngagement(stepId);
+    const codeBlocks = this.getCodeTargets(stepContent).length;
+    const estimatedMs = (Number(navItem.getAttribute('data-duration-minutes')) || 0) * 60000;
+
+    if (
+      engagement.scrolledToEnd &&
+      engagement.copied.size >= codeBlocks &&
+      this.getStepTime(stepId) >= estimatedMs * this.options.autoCompleteTimeRatio
+    ) {
+      console.log(`🤖 Auto-completing step ${stepId}`);
+      this.markStepCompleted(stepId);
+    }
+  }
+
+  /**
+   * Sync "Mark step complete" buttons and auto-complete checkboxes with stored state
+   */
+  updateCompletionControls() {
+    const autoComplete = this.isAutoCompleteEnabled();
+
+    DOMUtils.$$(this.options.completeSelector).forEach((control) => {
+      const isCompleted = this.isStepCompleted(control.getAttribute('data-step-complete'));
+      const button = DOMUtils.$('.step-complete-button', control);
+      const checkbox = DOMUtils.$('[data-auto-complete]', control);
+
+      DOMUtils.toggleClass(control, 'completed', isCompleted);
+      if (button) {
+        button.textContent = isCompleted ? '✓ Step completed' : 'Mark step complete';
+        button.setAttribute('aria-pressed', String(isCompleted));
+      }
+      if (checkbox) {
+        checkbox.checked = autoComplete;
       }
     });
   }
 
   /**
-   * Handle step click
+   * Warn when a locked step is opened
+   */
+  setupPrerequisiteWarnings() {
+    const cleanup = DOMUtils.addEventListenerWithCleanup(document, 'lab:step-change', (e) =>
+      this.updatePrerequisiteWarning(e.detail.stepNumber)
+    );
+
+    if (cleanup) {
+      this.cleanupFunctions.push(cleanup);
+    }
+
+    // The initial step was shown before this component existed
+    const activeItem = DOMUtils.$(`${this.options.navItemSelector}.active`);
+    if (activeItem) {
+      this.updatePrerequisiteWarning(activeItem.getAttribute('data-step'));
+    }
+  }
+
+  /**
+   * Show or clear the soft prerequisite warning at the top of a step
    */
-  handleStepClick(stepId) {
-    this.markStepCompleted(stepId);
+  updatePrerequisiteWarning(stepId) {
+    const stepContent = DOMUtils.$(`#step-${stepId}`);
+    if (!stepContent) return;
+
+    const existing = DOMUtils.$('.prerequisite-warning', stepContent);
+    if (existing) {
+      existing.remove();
+    }
+
+    if (!this.isStepLocked(stepId)) return;
+
+    const items = this.getUnmetPrerequisites(stepId)
+      .map((prerequisite) => {
+        const stepLink =
+          prerequisite.lab === this.labId ? ` data-step-link="${prerequisite.step}"` : '';
+        const label = prerequisite.lab === this.labId ? '' : `${prerequisite.labTitle}: `;
+
+        return `
+          <li>
+            ${label}Step ${prerequisite.step} – ${prerequisite.title}
+            <a href="${prerequisite.href}"${stepLink} class="prerequisite-jump">Jump to prerequisite →</a>
+          </li>`;
+      })
+      .join('');
+
+    const warning = DOMUtils.createElement(
+      'div',
+      {
+        className: 'prerequisite-warning',
+        role: 'note',
+      },
+      `
+      <span class="prerequisite-warning-icon">🔒</span>
+      <div>
+        <strong>This step builds on work you haven't completed yet.</strong>
+        <ul>${items}</ul>
+      </div>
+    `
+    );
+
+    stepContent.insertBefore(warning, stepContent.firstChild);
   }
 
   /**
@@ -239,6 +867,29 @@ export class ProgressTracker {
 
     const isCompleted = this.isStepCompleted(stepId);
     DOMUtils.toggleClass(navItem, 'completed', isCompleted);
+    DOMUtils.toggleClass(navItem, 'visited', this.isStepVisited(stepId) && !isCompleted);
+
+    const tasksElement = DOMUtils.$('.lab-tasks', navItem);
+    if (tasksElement) {
+      const { done, total } = this.getTaskCounts(stepId);
+      tasksElement.textContent = `${done}/${total} tasks`;
+    }
+
+    DOMUtils.$$(`[data-task-step="${stepId}"]`).forEach((checkbox) => {
+      checkbox.checked = this.isTaskCompleted(stepId, checkbox.getAttribute('data-task'));
+    });
+
+    this.updateStepTime(stepId);
+
+    const isLocked = this.isStepLocked(stepId);
+    DOMUtils.toggleClass(navItem, 'locked', isLocked);
+
+    if (isLocked) {
+      const pending = this.getUnmetPrerequisites(stepId).map((p) => `Step ${p.step}`);
+      navItem.setAttribute('title', `Complete ${pending.join(', ')} first`);
+    } else {
+      navItem.removeAttribute('title');
+    }
   }
 
   /**
@@ -269,26 +920,67 @@ export class ProgressTracker {
     } else {
       console.warn('⚠️ Progress fill element not found');
     }
+
+    const remainingElement = DOMUtils.$('.progress-remaining', this.progressContainer);
+    if (remainingElement) {
+      const remaining = this.getRemainingMinutes();
+      remainingElement.textContent =
+        remaining > 0 ? `~${formatDuration(remaining)} remaining` : 'All steps completed 🎉';
+    }
+  }
+
+  /**
+   * List each quiz's best score in the sidebar, e.g. "03 Workers KV Storage  3/4 ✓"
+   */
+  updateQuizSummary() {
+    const summary = this.progressContainer && DOMUtils.$('.progress-quizzes', this.progressContainer);
+    if (!summary) return;
+
+    const items = DOMUtils.$$(`${this.options.navItemSelector}[data-has-quiz]`);
+    summary.hidden = items.length === 0;
+
+    DOMUtils.$('.progress-quizzes-list', summary).innerHTML = items
+      .map((item) => {
+        const stepId = item.getAttribute('data-step');
+        const result = this.getQuizResult(stepId);
+        const number = DOMUtils.$('.lab-number', item)?.textContent || stepId;
+        const title = DOMUtils.$('.lab-name', item)?.textContent || '';
+        const score = result
+          ? `${result.bestScore}/${result.total}${result.passed ? ' ✓' : ''}`
+          : 'Not taken';
+
+        return `
+          <li class="${result?.passed ? 'passed' : ''}">
+            <span class="progress-quiz-step">${number} ${title}</span>
+            <span class="progress-quiz-score">${score}</span>
+          </li>
+        `;
+      })
+      .join('');
   }
 
   /**
    * Update all UI elements
    */
   updateUI() {
-    // Update all step indicators
-    Object.keys(this.progress).forEach((stepId) => {
-      this.updateStepUI(stepId);
+    // Update all step indicators (locks depend on other steps' progress)
+    DOMUtils.$$(this.options.navItemSelector).forEach((item) => {
+      this.updateStepUI(item.getAttribute('data-step'));
     });
 
-    // Update progress bar
+    // Update progress bar, quiz scores and completion buttons
     this.updateProgressBar();
+    this.updateQuizSummary();
+    this.updateCompletionControls();
   }
 
   /**
    * Reset all progress
    */
   resetProgress() {
-    this.progress = {};
+    // Keep an empty, newer state per step so a sync doesn't bring the old progress back
+    Object.keys(this.progress).forEach((stepId) => this.setStepState(stepId, {}));
+    this.unsavedTime = {};
     const saved = this.saveProgress();
 
     if (saved) {
@@ -307,7 +999,8 @@ export class ProgressTracker {
       totalSteps: this.getTotalSteps(),
       completedSteps: this.getCompletedStepsCount(),
       percentage: this.getCompletionPercentage(),
-      completedStepIds: Object.keys(this.progress).filter((stepId) => this.progress[stepId]),
+      completedStepIds: Object.keys(this.progress).filter((stepId) => this.isStepCompleted(stepId)),
+      visitedStepIds: Object.keys(this.progress).filter((stepId) => this.isStepVisited(stepId)),
     };
   }
 
@@ -329,27 +1022,28 @@ export class ProgressTracker {
    */
   exportProgress() {
     return {
-      progress: { ...this.progress },
-      summary: this.getProgressSummary(),
-      timestamp: new Date().toISOString(),
+      version: this.store.data.version,
+      labs: structuredClone(this.store.data.labs),
     };
   }
 
   /**
-   * Import progress data
+   * Import a progress document (see exportProgress), merging it into or replacing all labs
    */
-  importProgress(data) {
-    if (!data || typeof data !== 'object') {
-      console.warn('Invalid progress data');
+  importProgress(data, { mode = 'merge' } = {}) {
+    const { progress, errors } = validateProgress(data);
+    if (!progress) {
+      console.warn('Invalid progress data:', errors);
       return false;
     }
 
-    this.progress = { ...data.progress } || {};
-    const saved = this.saveProgress();
+    const { labs, changes } = planProgressImport(this.store.data.labs, progress.labs, mode);
+    this.store.data.labs = labs;
+    const saved = this.store.save();
 
     if (saved) {
-      this.updateUI();
-      this.dispatchProgressEvent('progress-imported', { data });
+      this.reloadProgress();
+      this.dispatchProgressEvent('progress-imported', { mode, changes });
     }
 
     return saved;
@@ -383,6 +1077,7 @@ export class ProgressTracker {
   destroy() {
     this.cleanupFunctions.forEach((cleanup) => cleanup());
     this.cleanupFunctions = [];
+    this.store.destroy();
 
     if (this.progressContainer && this.progressContainer.parentNode) {
       this.progressContainer.parentNode.removeChild(this.progressContainer);
@@ -0,0 +1,299 @@
+/**
+ * Quiz Component - Score knowledge-check quizzes (Quiz.astro) and store results with the step's progress
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+
+export class Quiz {
+  constructor(progressTracker, options = {}) {
+    this.options = {
+      quizSelector: '[data-quiz]',
+      ...options,
+    };
+
+    this.progressTracker = progressTracker;
+    this.quizzes = [];
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize quizzes
+   */
+  init() {
+    this.addQuizzes(document);
+
+    // Steps fetched later (LabNavigation.loadStep) can hold quizzes too
+    const cleanup = DOMUtils.addEventListenerWithCleanup(document, 'lab:step-loaded', (e) =>
+      this.addQuizzes(e.detail.element)
+    );
+    if (cleanup) this.cleanupFunctions.push(cleanup);
+  }
+
+  /**
+   * Set up the quizzes inside an element
+   */
+  async addQuizzes(root) {
+    const quizzes = DOMUtils.$$(this.options.quizSelector, root)
+      .map((element) => this.createQuiz(element))
+      .filter(Boolean);
+    if (quizzes.length === 0) return;
+
+    this.quizzes.push(...quizzes);
+    quizzes.forEach((quiz) => this.setupQuiz(quiz));
+
+    // Show earlier results once the tracker has loaded stored progress
+    await this.progressTracker?.ready;
+    quizzes.forEach((quiz) => {
+      const result = this.progressTracker?.getQuizResult(quiz.stepId);
+      if (result) this.showResults(quiz, result.answers);
+    });
+  }
+
+  /**
+   * Read a quiz's step, pass mark and answer key from its markup
+   */
+  createQuiz(element) {
+    const stepContent = element.closest('.step-content');
+
+    try {
+      return {
+        element,
+        stepId: stepContent ? stepContent.id.replace('step-', '') : null,
+        answerKey: JSON.parse(DOMUtils.$('[data-quiz-answers]', element).textContent),
+        requiredScore: Number(element.getAttribute('data-required-score')),
+        completesStep: element.hasAttribute('data-completes-step'),
+        questions: DOMUtils.$$('[data-question]', element),
+      };
+    } catch (error) {
+      console.warn('Invalid quiz answer key:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Shuffle order questions and wire up the form
+   */
+  setupQuiz(quiz) {
+    this.resetQuiz(quiz);
+
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(quiz.element, 'submit', (e) => {
+        e.preventDefault();
+        this.submit(quiz);
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(quiz.element, 'click', (e) => {
+        const moveButton = e.target.closest('[data-quiz-move]');
+        if (moveButton) {
+          this.moveLine(moveButton, Number(moveButton.getAttribute('data-quiz-move')));
+        }
+
+        if (e.target.closest('[data-quiz-retry]')) {
+          this.resetQuiz(quiz);
+        }
+      }),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * A question's answer as a list of indexes: the chosen options, or the lines in their current order
+   */
+  readAnswer(question) {
+    if (question.getAttribute('data-type') === 'order') {
+      return DOMUtils.$$('[data-line]', question).map((item) => Number(item.getAttribute('data-line')));
+    }
+
+    return DOMUtils.$$('input:checked', question)
+      .map((input) => Number(input.value))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Check whether an answer matches the key
+   */
+  isCorrect(answer, expected) {
+    return answer.length === expected.length && answer.every((value, i) => value === expected[i]);
+  }
+
+  /**
+   * Score the quiz and store the attempt
+   */
+  submit(quiz) {
+    const answers = quiz.questions.map((question) => this.readAnswer(question));
+    if (answers.some((answer) => answer.length === 0)) {
+      this.setResult(quiz, 'Answer every question to check your answers.');
+      return;
+    }
+
+    const { score, total, passed } = this.showResults(quiz, answers);
+    console.log(`🧠 Quiz for step ${quiz.stepId}: ${score}/${total}${passed ? ' (passed)' : ''}`);
+
+    if (this.progressTracker && quiz.stepId) {
+      this.progressTracker.saveQuizResult(
+        quiz.stepId,
+        { answers, score, total, passed },
+        { completesStep: quiz.completesStep }
+      );
+    }
+  }
+
+  /**
+   * Show given answers graded with their explanations, and lock the quiz until "Try again"
+   */
+  showResults(quiz, answers) {
+    let score = 0;
+
+    quiz.questions.forEach((question, index) => {
+      const answer = answers[index] || [];
+      const correct = this.isCorrect(answer, quiz.answerKey[index]);
+      if (correct) score++;
+
+      this.restoreAnswer(question, answer);
+      DOMUtils.toggleClass(question, 'correct', correct);
+      DOMUtils.toggleClass(question, 'incorrect', !correct);
+
+      const feedback = DOMUtils.$('.quiz-feedback', question);
+      feedback.textContent = correct ? '✓ Correct' : '✗ Not quite';
+      feedback.hidden = false;
+      DOMUtils.$('.quiz-explanation', question).hidden = false;
+      this.setQuestionDisabled(question, true);
+    });
+
+    const total = quiz.questions.length;
+    const passed = score >= quiz.requiredScore;
+
+    DOMUtils.toggleClass(quiz.element, 'passed', passed);
+    DOMUtils.$('[data-quiz-submit]', quiz.element).hidden = true;
+    DOMUtils.$('[data-quiz-retry]', quiz.element).hidden = false;
+    this.setResult(
+      quiz,
+      passed
+        ? `${score}/${total} – passed!`
+        : `${score}/${total} – you need ${quiz.requiredScore} to pass.`
+    );
+
+    return { score, total, passed };
+  }
+
+  /**
+   * Put a stored answer back into a question's inputs or line order
+   */
+  restoreAnswer(question, answer) {
+    if (question.getAttribute('data-type') === 'order') {
+      const list = DOMUtils.$('.quiz-order', question);
+      answer.forEach((line) => {
+        const item = DOMUtils.$(`[data-line="${line}"]`, list);
+        if (item) list.appendChild(item);
+      });
+      return;
+    }
+
+    DOMUtils.$$('input', question).forEach((input) => {
+      input.checked = answer.includes(Number(input.value));
+    });
+  }
+
+  /**
+   * Clear the quiz for a new attempt
+   */
+  resetQuiz(quiz) {
+    quiz.questions.forEach((question) => {
+      question.classList.remove('correct', 'incorrect');
+      DOMUtils.$('.quiz-feedback', question).hidden = true;
+      DOMUtils.$('.quiz-explanation', question).hidden = true;
+      DOMUtils.$$('input', question).forEach((input) => {
+        input.checked = false;
+      });
+      this.shuffleLines(question);
+      this.setQuestionDisabled(question, false);
+    });
+
+    quiz.element.classList.remove('passed');
+    DOMUtils.$('[data-quiz-submit]', quiz.element).hidden = false;
+    DOMUtils.$('[data-quiz-retry]', quiz.element).hidden = true;
+    this.setResult(quiz, '');
+  }
+
+  /**
+   * Shuffle an order question's lines (they are rendered in the correct order)
+   */
+  shuffleLines(question) {
+    const list = DOMUtils.$('.quiz-order', question);
+    if (!list) return;
+
+    const items = DOMUtils.$$('[data-line]', list);
+    if (items.length < 2) return;
+
+    // Never start from the answer
+    let order;
+    do {
+      order = [...items];
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    } while (order.every((item, index) => Number(item.getAttribute('data-line')) === index));
+
+    order.forEach((item) => list.appendChild(item));
+  }
+
+  /**
+   * Move a line of an order question up (-1) or down (1)
+   */
+  moveLine(button, direction) {
+    const item = button.closest('[data-line]');
+    const sibling = direction < 0 ? item?.previousElementSibling : item?.nextElementSibling;
+    if (!sibling) return;
+
+    if (direction < 0) {
+      sibling.before(item);
+    } else {
+      sibling.after(item);
+    }
+
+    this.updateMoveButtons(item.parentElement);
+    button.focus();
+  }
+
+  /**
+   * Disable moving the first line up and the last line down
+   */
+  updateMoveButtons(list) {
+    const items = DOMUtils.$$('[data-line]', list);
+    items.forEach((item, index) => {
+      DOMUtils.$('[data-quiz-move="-1"]', item).disabled = index === 0;
+      DOMUtils.$('[data-quiz-move="1"]', item).disabled = index === items.length - 1;
+    });
+  }
+
+  /**
+   * Lock or unlock a question's inputs and move buttons
+   */
+  setQuestionDisabled(question, disabled) {
+    DOMUtils.$$('input, [data-quiz-move]', question).forEach((control) => {
+      control.disabled = disabled;
+    });
+
+    const list = DOMUtils.$('.quiz-order', question);
+    if (list && !disabled) this.updateMoveButtons(list);
+  }
+
+  /**
+   * Show the quiz's result line
+   */
+  setResult(quiz, message) {
+    DOMUtils.$('.quiz-result', quiz.element).textContent = message;
+  }
+
+  /**
+   * Cleanup event listeners
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+  }
+}
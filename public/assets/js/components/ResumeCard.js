@@ -0,0 +1,117 @@
+/**
+ * Resume Card Component - "Continue where you left off" and per-lab progress rings on /labs
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+import { StorageManager } from '../utils/storage.js';
+import { ProgressStore, calculateLabCompletion } from '../utils/progress.js';
+
+export class ResumeCard {
+  constructor(options = {}) {
+    this.options = {
+      cardSelector: '[data-resume-card]',
+      outlineSelector: '[data-lab-outline]',
+      ringSelector: '[data-progress-ring]',
+      ...options,
+    };
+
+    this.card = DOMUtils.$(this.options.cardSelector);
+    this.storage = new StorageManager('labs');
+    this.store = null;
+    this.outline = {};
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize resume card
+   */
+  init() {
+    if (!this.card) return;
+
+    try {
+      this.outline = JSON.parse(DOMUtils.$(this.options.outlineSelector, this.card).textContent);
+    } catch (error) {
+      console.warn('Invalid lab outline:', error);
+      return;
+    }
+
+    this.store = new ProgressStore();
+    this.render();
+
+    // Progress made in another tab shows up here without a reload
+    this.cleanupFunctions.push(
+      this.store.onExternalChange(() => this.render()),
+      this.storage.subscribe('resume', () => this.render())
+    );
+  }
+
+  /**
+   * Completion percentage of a lab, from the same progress storage ProgressTracker uses
+   */
+  getLabCompletion(labId) {
+    const lab = this.outline[labId];
+    if (!lab) return 0;
+
+    const states = this.store.data.labs[labId]?.steps || {};
+    return calculateLabCompletion(lab.steps, states);
+  }
+
+  /**
+   * Render the card and rings
+   */
+  render() {
+    this.renderRings();
+    this.renderCard();
+  }
+
+  /**
+   * Fill each lab card's progress ring (hidden until the lab is started)
+   */
+  renderRings() {
+    DOMUtils.$$(this.options.ringSelector).forEach((ring) => {
+      const percentage = this.getLabCompletion(ring.getAttribute('data-progress-ring'));
+
+      ring.hidden = percentage === 0;
+      ring.style.setProperty('--progress', percentage);
+      ring.setAttribute('aria-label', `${percentage}% complete`);
+      DOMUtils.$('.progress-ring-value', ring).textContent = `${percentage}%`;
+    });
+  }
+
+  /**
+   * Show the last visited step, if it still exists
+   */
+  renderCard() {
+    const point = this.storage.load('resume', null);
+    const lab = point && this.outline[point.lab];
+    const step = lab && lab.steps.find((s) => s.step === point.step);
+
+    if (!step) {
+      this.card.hidden = true;
+      return;
+    }
+
+    const percentage = this.getLabCompletion(point.lab);
+    const hash = point.heading ? `#step-${step.step}/${point.heading}` : `#step-${step.step}`;
+
+    DOMUtils.$('[data-resume-title]', this.card).textContent =
+      `${lab.title} › Step ${step.step} – ${step.title}`;
+    DOMUtils.$('[data-resume-percentage]', this.card).textContent = `${percentage}% done`;
+    DOMUtils.$('[data-resume-fill]', this.card).style.width = `${percentage}%`;
+    // ?resume restores the scroll offset (LabNavigation); the hash is the fallback
+    DOMUtils.$('[data-resume-link]', this.card).href = `${point.path || step.href}?resume${hash}`;
+
+    this.card.hidden = false;
+  }
+
+  /**
+   * Cleanup listeners
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+    this.store?.destroy();
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Step Browser Component - Filters the /labs step catalog by difficulty and tag
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+
+export class StepBrowser {
+  constructor(selector = '[data-step-browser]') {
+    this.container = DOMUtils.$(selector);
+    this.chips = [];
+    this.results = [];
+    this.filters = { difficulty: new Set(), tag: new Set() };
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize step browser
+   */
+  init() {
+    if (!this.container) return;
+
+    this.chips = DOMUtils.$$('.browse-chip', this.container);
+    this.results = DOMUtils.$$('.browse-result', this.container);
+
+    this.loadFiltersFromUrl();
+    this.setupEventListeners();
+    this.applyFilters();
+  }
+
+  /**
+   * Read ?difficulty=...&tag=... so filtered views can be linked
+   */
+  loadFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+
+    Object.keys(this.filters).forEach((filter) => {
+      params.getAll(filter).forEach((value) => this.filters[filter].add(value));
+    });
+  }
+
+  /**
+   * Setup chip and clear button listeners
+   */
+  setupEventListeners() {
+    const cleanup = DOMUtils.addEventListenerWithCleanup(this.container, 'click', (e) => {
+      const chip = e.target.closest('.browse-chip');
+      if (chip) {
+        this.toggleFilter(chip.getAttribute('data-filter'), chip.getAttribute('data-value'));
+        return;
+      }
+
+      if (e.target.closest('.browse-clear')) {
+        this.clearFilters();
+      }
+    });
+
+    if (cleanup) {
+      this.cleanupFunctions.push(cleanup);
+    }
+  }
+
+  /**
+   * Toggle a single filter value
+   */
+  toggleFilter(filter, value) {
+    const values = this.filters[filter];
+    if (!values) return;
+
+    values.has(value) ? values.delete(value) : values.add(value);
+    this.applyFilters();
+    this.updateUrl();
+  }
+
+  /**
+   * Remove all filters
+   */
+  clearFilters() {
+    Object.values(this.filters).forEach((values) => values.clear());
+    this.applyFilters();
+    this.updateUrl();
+  }
+
+  /**
+   * Check a step against the filters: any selected value within a group, every group must match
+   */
+  matches(result) {
+    const { difficulty, tag } = this.filters;
+    const tags = (result.getAttribute('data-tags') || '').split(' ');
+
+    const difficultyMatch =
+      difficulty.size === 0 || difficulty.has(result.getAttribute('data-difficulty'));
+    const tagMatch = tag.size === 0 || tags.some((value) => tag.has(value));
+
+    return difficultyMatch && tagMatch;
+  }
+
+  /**
+   * Show matching steps and sync chip state
+   */
+  applyFilters() {
+    let visible = 0;
+
+    this.results.forEach((result) => {
+      const isMatch = this.matches(result);
+      result.hidden = !isMatch;
+      if (isMatch) visible++;
+    });
+
+    this.chips.forEach((chip) => {
+      const values = this.filters[chip.getAttribute('data-filter')];
+      const isActive = Boolean(values && values.has(chip.getAttribute('data-value')));
+      chip.setAttribute('aria-pressed', String(isActive));
+      DOMUtils.toggleClass(chip, 'active', isActive);
+    });
+
+    const hasFilters = Object.values(this.filters).some((values) => values.size > 0);
+    const summary = DOMUtils.$('.browse-summary', this.container);
+    const clearButton = DOMUtils.$('.browse-clear', this.container);
+    const empty = DOMUtils.$('.browse-empty', this.container);
+
+    if (summary) {
+      summary.textContent = hasFilters
+        ? `Showing ${visible} of ${this.results.length} steps`
+        : `Showing all ${this.results.length} steps`;
+    }
+    if (clearButton) clearButton.hidden = !hasFilters;
+    if (empty) empty.hidden = visible > 0;
+  }
+
+  /**
+   * Reflect the filters in the query string without adding history entries
+   */
+  updateUrl() {
+    const url = new URL(window.location.href);
+
+    Object.entries(this.filters).forEach(([filter, values]) => {
+      url.searchParams.delete(filter);
+      values.forEach((value) => url.searchParams.append(filter, value));
+    });
+
+    history.replaceState(null, '', url);
+  }
+
+  /**
+   * Cleanup event listeners
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * Step TOC Component - "On this page" outline of the shown step with scrollspy, and copyable heading links
+ */
+
+import { DOMUtils } from '../utils/dom.js';
+
+export class StepToc {
+  constructor(labNavigation, options = {}) {
+    this.options = {
+      tocSelector: '.step-toc',
+      headingSelector: '.step-content-markdown h2[id], .step-content-markdown h3[id]',
+      activeClass: 'active',
+      // Matches the offset LabNavigation scrolls headings to, plus some slack
+      scrollOffset: 120,
+      copiedTimeout: 2000,
+      ...options,
+    };
+
+    this.labNavigation = labNavigation;
+    this.tocs = [];
+    this.toc = null;
+    this.headings = [];
+    this.currentHeading = null;
+    this.cleanupFunctions = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize outlines and heading links
+   */
+  init() {
+    this.tocs = DOMUtils.$$(this.options.tocSelector);
+
+    this.setupHeadingAnchors();
+    if (this.tocs.length === 0) return;
+
+    this.setupEventListeners();
+
+    // The server renders the active step's outline visible
+    const renderedStep = this.tocs.find((toc) => !toc.hidden)?.getAttribute('data-toc-step');
+    this.showToc(this.labNavigation?.getCurrentStep() ?? renderedStep);
+  }
+
+  /**
+   * Add heading links to the page and to steps fetched later (LabNavigation.loadStep)
+   */
+  setupHeadingAnchors() {
+    this.addHeadingAnchors(document);
+
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(document, 'lab:step-loaded', (e) => {
+        this.addHeadingAnchors(e.detail.element);
+        if (String(e.detail.stepNumber) === this.toc?.getAttribute('data-toc-step')) {
+          this.showToc(e.detail.stepNumber);
+        }
+      }),
+
+      DOMUtils.addEventListenerWithCleanup(document, 'click', (e) => {
+        const anchor = e.target.closest('.heading-anchor');
+        if (anchor) {
+          e.preventDefault();
+          this.copyHeadingLink(anchor);
+        }
+      }),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Add a "#" link that copies its URL to every step heading inside an element
+   */
+  addHeadingAnchors(root) {
+    DOMUtils.$$(this.options.headingSelector, root).forEach((heading) => {
+      const anchor = DOMUtils.createElement(
+        'a',
+        {
+          className: 'heading-anchor',
+          href: `#${heading.id}`,
+          'aria-label': 'Copy link to this section',
+          title: 'Copy link to this section',
+        },
+        '#'
+      );
+      heading.prepend(anchor);
+    });
+  }
+
+  /**
+   * Follow TOC links, switch outlines with the step and highlight the heading being read
+   */
+  setupEventListeners() {
+    const throttledHighlight = DOMUtils.throttle(() => {
+      this.highlightActiveHeading({ fromScroll: true });
+    }, 100);
+
+    const cleanups = [
+      DOMUtils.addEventListenerWithCleanup(window, 'scroll', throttledHighlight),
+
+      DOMUtils.addEventListenerWithCleanup(document, 'lab:step-change', (e) =>
+        this.showToc(e.detail.stepNumber)
+      ),
+
+      ...this.tocs.map((toc) =>
+        DOMUtils.addEventListenerWithCleanup(toc, 'click', (e) => {
+          const link = e.target.closest('[data-toc-heading]');
+          if (link) {
+            e.preventDefault();
+            this.goToHeading(link.getAttribute('data-toc-heading'));
+          }
+        })
+      ),
+    ];
+
+    cleanups.filter(Boolean).forEach((cleanup) => this.cleanupFunctions.push(cleanup));
+  }
+
+  /**
+   * Show the outline of a step and track its headings
+   */
+  showToc(stepNumber) {
+    this.toc = null;
+    this.tocs.forEach((toc) => {
+      const isCurrent = toc.getAttribute('data-toc-step') === String(stepNumber);
+      toc.hidden = !isCurrent;
+      if (isCurrent) this.toc = toc;
+    });
+
+    const stepContent = DOMUtils.$(`#step-${stepNumber}`);
+    this.headings = this.toc && stepContent ? DOMUtils.$$(this.options.headingSelector, stepContent) : [];
+    this.currentHeading = null;
+    this.highlightActiveHeading();
+  }
+
+  /**
+   * Highlight the last heading scrolled past; scrolling also records it as the reading position
+   */
+  highlightActiveHeading({ fromScroll = false } = {}) {
+    if (!this.toc) return;
+
+    let current = null;
+
+    // Viewport positions: offsetTop is relative to the nearest positioned ancestor (.section)
+    this.headings.forEach((heading) => {
+      if (heading.getBoundingClientRect().top <= this.options.scrollOffset) {
+        current = heading.id;
+      }
+    });
+
+    if (current === this.currentHeading) return;
+    this.currentHeading = current;
+    this.updateActiveLink(current);
+
+    if (fromScroll) {
+      this.labNavigation?.setHeading(current);
+    }
+  }
+
+  /**
+   * Update the active outline link
+   */
+  updateActiveLink(activeHeading) {
+    DOMUtils.$$('[data-toc-heading]', this.toc).forEach((link) => {
+      const isActive = link.getAttribute('data-toc-heading') === activeHeading;
+      DOMUtils.toggleClass(link, this.options.activeClass, isActive);
+      if (isActive) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Scroll to a heading of the shown step
+   */
+  goToHeading(id) {
+    const heading = this.headings.find((element) => element.id === id);
+    if (!heading) return;
+
+    DOMUtils.scrollToElement(heading, 100);
+    this.labNavigation?.setHeading(id);
+  }
+
+  /**
+   * Copy a heading's shareable URL
+   */
+  async copyHeadingLink(anchor) {
+    const heading = anchor.parentElement;
+    const stepContent = heading.closest('.step-content');
+    const url = this.labNavigation
+      ? this.labNavigation.getHeadingUrl(stepContent.id.replace('step-', ''), heading.id)
+      : new URL(`#${heading.id}`, window.location.href).href;
+
+    try {
+      await navigator.clipboard.writeText(url);
+      anchor.classList.add('copied');
+      anchor.setAttribute('title', 'Link copied');
+      setTimeout(() => {
+        anchor.classList.remove('copied');
+        anchor.setAttribute('title', 'Copy link to this section');
+      }, this.options.copiedTimeout);
+      console.log(`🔗 Copied link to #${heading.id}`);
+    } catch (error) {
+      console.warn('⚠️ Failed to copy heading link:', error);
+    }
+
+    this.goToHeading(heading.id);
+  }
+
+  /**
+   * Cleanup event listeners
+   */
+  destroy() {
+    this.cleanupFunctions.forEach((cleanup) => cleanup());
+    this.cleanupFunctions = [];
+  }
+}
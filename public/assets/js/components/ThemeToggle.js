@@ -125,6 +125,16 @@ export class ThemeToggle {
       }
     }
 
+    // Follow theme changes made in another tab
+    this.cleanupFunctions.push(
+      this.storage.subscribe('preference', (theme) => {
+        if (['dark', 'light'].includes(theme) && theme !== this.currentTheme) {
+          this.applyTheme(theme);
+          this.currentTheme = theme;
+        }
+      })
+    );
+
     // Keyboard support
     const cleanup3 = DOMUtils.addEventListenerWithCleanup(this.button, 'keydown', (e) => {
       if (e.key === 'Enter' || e.key === ' ') {
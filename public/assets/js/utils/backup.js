@@ -0,0 +1,296 @@
+/**
+ * Progress Backup - Versioned file format for progress, theme and notes
+ *
+ * {
+ *   format: 'cloudflare-labs-backup',
+ *   version: 1,
+ *   exportedAt: '2025-01-01T00:00:00.000Z',
+ *   progress: { version: 2, labs: { [labId]: { steps: { [stepNumber]: StepState } } } },
+ *   theme: 'dark' | 'light' | null,
+ *   notes: { [labId]: { [stepNumber]: string } }
+ * }
+ *
+ * `progress` is the ProgressStore document (step states hold visited, completed, tasks, quiz,
+ * activeMs and updatedAt), so older files go through the store's migrations. `notes` holds the
+ * step notes kept under the `notes` storage key, and is an empty object when there are none.
+ */
+
+import { PROGRESS_VERSION, migrateProgress } from './progress.js';
+
+export const BACKUP_FORMAT = 'cloudflare-labs-backup';
+export const BACKUP_VERSION = 1;
+
+const THEMES = ['dark', 'light'];
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Build a backup document
+ */
+export function createBackup({ progress, theme = null, notes = {} }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    progress: { version: progress.version, labs: progress.labs },
+    theme,
+    notes,
+  };
+}
+
+/**
+ * Validate a progress document ({ version, labs }), migrating it to the current version.
+ * Returns { progress, errors }; progress is null when there are errors.
+ */
+export function validateProgress(value, path = 'progress') {
+  const errors = [];
+
+  if (!isObject(value)) {
+    return { progress: null, errors: [`${path} must be an object`] };
+  }
+  if (!Number.isInteger(value.version) || value.version < 1) {
+    errors.push(`${path}.version must be a positive integer`);
+  } else if (value.version > PROGRESS_VERSION) {
+    errors.push(`${path} was saved by a newer version of the site (v${value.version})`);
+  }
+  if (!isObject(value.labs)) {
+    errors.push(`${path}.labs must be an object`);
+  } else {
+    Object.entries(value.labs).forEach(([labId, lab]) => {
+      if (!isObject(lab) || !isObject(lab.steps)) {
+        errors.push(`${path}.labs.${labId}.steps must be an object`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { progress: null, errors };
+  }
+
+  const progress = migrateProgress(structuredClone(value));
+
+  Object.entries(progress.labs).forEach(([labId, lab]) => {
+    Object.entries(lab.steps).forEach(([stepId, state]) => {
+      errors.push(...validateStepState(state, `${path}.labs.${labId}.steps.${stepId}`));
+    });
+  });
+
+  return errors.length > 0 ? { progress: null, errors } : { progress, errors };
+}
+
+/**
+ * Validate one step's state ({ visited, completed, tasks, updatedAt, ... })
+ */
+function validateStepState(state, path) {
+  if (!isObject(state)) return [`${path} must be an object`];
+
+  const errors = [];
+  ['visited', 'completed'].forEach((field) => {
+    if (state[field] !== undefined && typeof state[field] !== 'boolean') {
+      errors.push(`${path}.${field} must be true or false`);
+    }
+  });
+  ['updatedAt', 'activeMs'].forEach((field) => {
+    if (state[field] !== undefined && typeof state[field] !== 'number') {
+      errors.push(`${path}.${field} must be a number`);
+    }
+  });
+  if (state.tasks !== undefined) {
+    if (!isObject(state.tasks) || !Object.values(state.tasks).every((v) => typeof v === 'boolean')) {
+      errors.push(`${path}.tasks must map task ids to true or false`);
+    }
+  }
+  if (state.quiz !== undefined) {
+    const { quiz } = state;
+    if (
+      !isObject(quiz) ||
+      !['score', 'total', 'bestScore'].every((field) => Number.isInteger(quiz[field])) ||
+      typeof quiz.passed !== 'boolean' ||
+      !Array.isArray(quiz.answers)
+    ) {
+      errors.push(`${path}.quiz must hold answers, score, total, bestScore and passed`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed backup file. Returns { backup, errors }; backup is null when there are errors.
+ */
+export function validateBackup(value) {
+  if (!isObject(value) || value.format !== BACKUP_FORMAT) {
+    return { backup: null, errors: ['This is not a progress backup file'] };
+  }
+  if (!Number.isInteger(value.version) || value.version < 1) {
+    return { backup: null, errors: ['version must be a positive integer'] };
+  }
+  if (value.version > BACKUP_VERSION) {
+    return {
+      backup: null,
+      errors: [`This file was made by a newer version of the site (v${value.version})`],
+    };
+  }
+
+  const { progress, errors } = validateProgress(value.progress);
+
+  const theme = value.theme ?? null;
+  if (theme !== null && !THEMES.includes(theme)) {
+    errors.push(`theme must be one of ${THEMES.join(', ')}`);
+  }
+
+  const notes = value.notes ?? {};
+  if (!isObject(notes)) {
+    errors.push('notes must be an object');
+  } else {
+    Object.entries(notes).forEach(([labId, labNotes]) => {
+      if (!isObject(labNotes) || !Object.values(labNotes).every((n) => typeof n === 'string')) {
+        errors.push(`notes.${labId} must map step numbers to text`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { backup: null, errors };
+  }
+
+  return { backup: { ...value, progress, theme, notes }, errors };
+}
+
+/**
+ * Combine two step states, keeping anything visited, completed or ticked in either,
+ * the longer time spent and the better quiz result
+ */
+function mergeStepStates(current = {}, incoming = {}) {
+  const merged = {
+    ...current,
+    ...incoming,
+    visited: Boolean(current.visited || incoming.visited),
+    completed: Boolean(current.completed || incoming.completed),
+  };
+
+  if (current.activeMs || incoming.activeMs) {
+    merged.activeMs = Math.max(current.activeMs || 0, incoming.activeMs || 0);
+  }
+
+  if (current.tasks || incoming.tasks) {
+    merged.tasks = { ...current.tasks };
+    Object.entries(incoming.tasks || {}).forEach(([taskId, done]) => {
+      merged.tasks[taskId] = Boolean(merged.tasks[taskId] || done);
+    });
+  }
+
+  // Keep the better quiz result
+  if (current.quiz || incoming.quiz) {
+    const [best, other] =
+      (incoming.quiz?.bestScore ?? -1) > (current.quiz?.bestScore ?? -1)
+        ? [incoming.quiz, current.quiz]
+        : [current.quiz, incoming.quiz];
+    merged.quiz = { ...best, passed: Boolean(best.passed || other?.passed) };
+  }
+
+  return merged;
+}
+
+/**
+ * Whether two step states mean the same thing to the learner (timestamps aside)
+ */
+function isSameStepState(a = {}, b = {}) {
+  const tasks = new Set([...Object.keys(a.tasks || {}), ...Object.keys(b.tasks || {})]);
+
+  return (
+    Boolean(a.visited) === Boolean(b.visited) &&
+    Boolean(a.completed) === Boolean(b.completed) &&
+    (a.activeMs || 0) === (b.activeMs || 0) &&
+    (a.quiz?.bestScore ?? null) === (b.quiz?.bestScore ?? null) &&
+    Boolean(a.quiz?.passed) === Boolean(b.quiz?.passed) &&
+    [...tasks].every((taskId) => Boolean(a.tasks?.[taskId]) === Boolean(b.tasks?.[taskId]))
+  );
+}
+
+/**
+ * Work out the result of importing progress without applying it.
+ *
+ * - merge: keeps everything done in either the stored progress or the file
+ * - replace: the file becomes the only progress; labs and steps missing from it are cleared
+ *
+ * Changed steps get a fresh `updatedAt` so the import also wins when progress is synced.
+ * Returns { labs, changes } where changes lists per-lab counts for the preview.
+ */
+export function planProgressImport(currentLabs, incomingLabs, mode = 'merge') {
+  const now = Date.now();
+  const labs = {};
+  const changes = [];
+  const labIds = new Set([...Object.keys(currentLabs), ...Object.keys(incomingLabs)]);
+
+  labIds.forEach((labId) => {
+    const before = currentLabs[labId]?.steps || {};
+    const imported = incomingLabs[labId]?.steps || {};
+
+    if (mode === 'merge' && !incomingLabs[labId]) {
+      labs[labId] = currentLabs[labId];
+      return;
+    }
+
+    const steps = {};
+    const change = { labId, completed: 0, uncompleted: 0, updated: 0 };
+    const stepIds = new Set([...Object.keys(before), ...Object.keys(imported)]);
+
+    stepIds.forEach((stepId) => {
+      const next =
+        mode === 'replace' ? imported[stepId] || {} : mergeStepStates(before[stepId], imported[stepId]);
+
+      if (isSameStepState(before[stepId], next)) {
+        if (before[stepId]) steps[stepId] = before[stepId];
+        return;
+      }
+
+      steps[stepId] = { ...next, updatedAt: now };
+
+      if (next.completed && !before[stepId]?.completed) {
+        change.completed++;
+      } else if (!next.completed && before[stepId]?.completed) {
+        change.uncompleted++;
+      } else {
+        change.updated++;
+      }
+    });
+
+    labs[labId] = { ...currentLabs[labId], steps };
+
+    if (change.completed || change.uncompleted || change.updated) {
+      changes.push(change);
+    }
+  });
+
+  return { labs, changes };
+}
+
+/**
+ * Work out the notes after an import (same modes as planProgressImport).
+ * Returns { notes, changes } where changes lists { labId, added, updated, removed } per lab.
+ */
+export function planNotesImport(currentNotes, incomingNotes, mode = 'merge') {
+  const notes = {};
+  const changes = [];
+  const labIds = new Set([...Object.keys(currentNotes), ...Object.keys(incomingNotes)]);
+
+  labIds.forEach((labId) => {
+    const before = currentNotes[labId] || {};
+    const imported = incomingNotes[labId] || {};
+    const after = mode === 'replace' ? { ...imported } : { ...before, ...imported };
+
+    const stepIds = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const change = { labId, added: 0, updated: 0, removed: 0 };
+    stepIds.forEach((stepId) => {
+      if (!(stepId in before)) change.added++;
+      else if (!(stepId in after)) change.removed++;
+      else if (before[stepId] !== after[stepId]) change.updated++;
+    });
+
+    if (Object.keys(after).length > 0) notes[labId] = after;
+    if (change.added || change.updated || change.removed) changes.push(change);
+  });
+
+  return { notes, changes };
+}
@@ -0,0 +1,18 @@
+/**
+ * Duration formatting shared by the browser components and the build (src/utils/duration.ts)
+ */
+
+/**
+ * Format minutes in the same style step durations are written in, e.g. 80 -> "1h 20m"
+ * @param {number} totalMinutes
+ * @returns {string}
+ */
+export function formatDuration(totalMinutes) {
+  if (totalMinutes < 60) {
+    return `${totalMinutes} min`;
+  }
+
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+}
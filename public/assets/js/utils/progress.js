@@ -0,0 +1,254 @@
+/**
+ * Progress Store - Versioned, per-lab progress persistence
+ */
+
+import { StorageManager } from './storage.js';
+
+export const PROGRESS_VERSION = 2;
+
+// Labs that existed while every lab page read and wrote the shared legacy map
+const LEGACY_LAB_IDS = ['workers', 'mcp'];
+
+/**
+ * Schema migrations, indexed by the version they upgrade from.
+ * Version 0 is the legacy `mcp_progress` map ({ [stepNumber]: true }) shared by every lab.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: per-lab records. The legacy map can't be attributed to one lab (every lab read and
+  // wrote it), so each lab that existed at the time gets a copy.
+  (data) => {
+    const steps = data.steps || {};
+    const hasSteps = Object.keys(steps).length > 0;
+
+    return {
+      version: 1,
+      labs: hasSteps
+        ? Object.fromEntries(LEGACY_LAB_IDS.map((labId) => [labId, { steps: structuredClone(steps) }]))
+        : {},
+    };
+  },
+
+  // 1 -> 2: visited and completed are separate states ({ [stepNumber]: { visited, completed } })
+  (data) => {
+    const toStates = (steps) =>
+      Object.fromEntries(
+        Object.entries(steps)
+          .filter(([, completed]) => completed)
+          .map(([stepId]) => [stepId, { visited: true, completed: true }])
+      );
+
+    return {
+      version: 2,
+      labs: Object.fromEntries(
+        Object.entries(data.labs).map(([labId, lab]) => [
+          labId,
+          { ...lab, steps: toStates(lab.steps) },
+        ])
+      ),
+    };
+  },
+];
+
+/**
+ * Upgrade stored progress data to the current version
+ */
+export function migrateProgress(data) {
+  while (data.version < PROGRESS_VERSION) {
+    console.log(`🔄 Migrating progress from v${data.version} to v${data.version + 1}`);
+    data = MIGRATIONS[data.version](data);
+  }
+
+  return data;
+}
+
+/**
+ * How much of a step is done (0-1): 1 once completed, else the share of its tasks ticked,
+ * with a passed quiz counting as one more task
+ */
+export function calculateStepCompletion(state, taskIds = [], hasQuiz = false) {
+  if (state?.completed) return 1;
+
+  const total = taskIds.length + (hasQuiz ? 1 : 0);
+  if (total === 0) return 0;
+
+  const done =
+    taskIds.filter((taskId) => state?.tasks?.[taskId]).length +
+    (hasQuiz && state?.quiz?.passed ? 1 : 0);
+  return done / total;
+}
+
+/**
+ * Completion percentage of a lab, weighting each step by its estimated duration
+ * (steps: [{ step, minutes, tasks: [taskId], quiz }], states: the lab's step states)
+ */
+export function calculateLabCompletion(steps, states) {
+  let total = 0;
+  let done = 0;
+
+  steps.forEach(({ step, minutes, tasks, quiz }) => {
+    // Steps without a duration still count, as one minute
+    const weight = minutes || 1;
+    total += weight;
+    done += weight * calculateStepCompletion(states[step], tasks, quiz);
+  });
+
+  return total > 0 ? Math.round((done / total) * 100) : 0;
+}
+
+export class ProgressStore {
+  constructor() {
+    this.storage = new StorageManager('labs');
+    this.legacyStorage = new StorageManager('mcp');
+    this.data = this.load();
+    this.listeners = new Set();
+    this.unsubscribe = this.storage.subscribe('progress', (data) => this.handleExternalChange(data));
+  }
+
+  /**
+   * Load stored progress, upgrading older formats
+   */
+  load() {
+    let data = this.storage.load('progress', null);
+    let migrated = false;
+
+    if (!data) {
+      const legacy = this.legacyStorage.load('progress', null);
+      data = { version: 0, steps: legacy && typeof legacy === 'object' ? legacy : {} };
+      migrated = legacy !== null;
+    }
+
+    if (data.version > PROGRESS_VERSION) {
+      console.warn(`⚠️ Progress was saved by a newer version (v${data.version}), resetting`);
+      return { version: PROGRESS_VERSION, labs: {} };
+    }
+
+    if (data.version < PROGRESS_VERSION) {
+      data = migrateProgress(data);
+      migrated = true;
+    }
+
+    if (migrated && this.storage.save('progress', data)) {
+      this.legacyStorage.remove('progress');
+    }
+
+    return data;
+  }
+
+  /**
+   * Persist all labs
+   */
+  save() {
+    // Another tab may have saved since this one loaded: keep its newer steps instead of overwriting
+    const stored = this.storage.load('progress', null);
+    if (stored?.version === PROGRESS_VERSION) {
+      this.mergeFrom(stored);
+    }
+
+    return this.storage.save('progress', this.data);
+  }
+
+  /**
+   * Merge another copy of the progress into this one, keeping each step's newest state
+   * (by `updatedAt`). Step maps are updated in place, so ones returned by getLabProgress stay live.
+   */
+  mergeFrom(other) {
+    let changed = false;
+
+    Object.entries(other.labs || {}).forEach(([labId, lab]) => {
+      if (!this.data.labs[labId]) {
+        this.data.labs[labId] = structuredClone(lab);
+        changed = true;
+        return;
+      }
+
+      const steps = this.data.labs[labId].steps;
+      Object.entries(lab.steps || {}).forEach(([stepId, state]) => {
+        if (!steps[stepId] || (state.updatedAt ?? 0) > (steps[stepId].updatedAt ?? 0)) {
+          steps[stepId] = state;
+          changed = true;
+        }
+      });
+    });
+
+    return changed;
+  }
+
+  /**
+   * Fold in progress saved by another tab
+   */
+  handleExternalChange(data) {
+    if (data?.version !== PROGRESS_VERSION) return;
+
+    if (this.mergeFrom(data)) {
+      this.listeners.forEach((listener) => listener());
+    }
+  }
+
+  /**
+   * Listen for progress changed by another tab; returns an unsubscribe function
+   */
+  onExternalChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get a lab's step states ({ [stepNumber]: { visited, completed } }), creating them on first use
+   */
+  getLabProgress(labId) {
+    if (!this.data.labs[labId]) {
+      this.data.labs[labId] = { steps: {} };
+    }
+
+    return this.data.labs[labId].steps;
+  }
+
+  /**
+   * Replace a lab's step map and persist
+   */
+  setLabProgress(labId, steps) {
+    this.data.labs[labId] = { ...this.data.labs[labId], steps };
+    return this.save();
+  }
+
+  /**
+   * Add active time to steps of a lab ({ [stepNumber]: ms }) and persist. The time is added to the
+   * stored totals, so time reported by several tabs adds up instead of overwriting each other.
+   */
+  addStepTime(labId, msByStep) {
+    const stored = this.storage.load('progress', null);
+    if (stored?.version === PROGRESS_VERSION) {
+      this.mergeFrom(stored);
+    }
+
+    const steps = this.getLabProgress(labId);
+    Object.entries(msByStep).forEach(([stepId, ms]) => {
+      const state = steps[stepId] || {};
+      steps[stepId] = { ...state, activeMs: (state.activeMs || 0) + ms, updatedAt: Date.now() };
+    });
+
+    return this.storage.save('progress', this.data);
+  }
+
+  /**
+   * Check if a step of any lab is completed
+   */
+  isStepCompleted(labId, stepId) {
+    return Boolean(this.getLabProgress(labId)[stepId]?.completed);
+  }
+
+  /**
+   * Ids of labs with stored progress
+   */
+  getLabIds() {
+    return Object.keys(this.data.labs);
+  }
+
+  /**
+   * Stop listening to other tabs
+   */
+  destroy() {
+    this.unsubscribe();
+    this.listeners.clear();
+  }
+}
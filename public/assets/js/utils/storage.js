@@ -76,6 +76,30 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Call back with a key's new value whenever another tab changes it.
+   * (The browser only fires `storage` events in the other tabs, never in the one that wrote.)
+   */
+  subscribe(key, callback) {
+    const storageKey = this._getKey(key);
+
+    const handler = (event) => {
+      // A null key means another tab cleared localStorage
+      if (event.storageArea !== localStorage || (event.key !== null && event.key !== storageKey)) {
+        return;
+      }
+
+      try {
+        callback(event.newValue === null ? null : JSON.parse(event.newValue));
+      } catch (error) {
+        console.warn(`Failed to read changed localStorage value:`, error);
+      }
+    };
+
+    window.addEventListener('storage', handler);
+    return () => window.removeEventListener('storage', handler);
+  }
+
   /**
    * Check if localStorage is available
    */
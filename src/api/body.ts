@@ -0,0 +1,30 @@
+import type { Context } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+
+export const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Parse a small JSON object body, or return null when it is not JSON or not an object.
+ * Bodies over `maxBytes` (UTF-8) are rejected with a 413.
+ */
+export async function readJsonObject(
+  c: Context,
+  maxBytes: number
+): Promise<Record<string, unknown> | null> {
+  const tooLarge = () =>
+    new HTTPException(413, { message: `Body must be at most ${Math.floor(maxBytes / 1024)} KB` });
+
+  // Skip reading bodies that announce their size up front
+  if (Number(c.req.header('Content-Length')) > maxBytes) throw tooLarge();
+
+  const body = await c.req.text();
+  if (new TextEncoder().encode(body).length > maxBytes) throw tooLarge();
+
+  try {
+    const value: unknown = JSON.parse(body);
+    return isObject(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
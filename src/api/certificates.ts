@@ -0,0 +1,46 @@
+import { Hono } from 'hono';
+import { readJsonObject } from './body';
+import { getLabs } from '../utils/labs';
+import {
+  MAX_CERTIFICATE_NAME_LENGTH,
+  getCertificateDate,
+  signCertificate,
+} from '../utils/certificates';
+
+/**
+ * Completion certificates, signed with the CERTIFICATE_SECRET Worker secret.
+ *
+ * Progress lives in the learner's browser, so the Worker can't check the lab was finished:
+ * the signature proves the certificate was issued by this site for that name, lab and date,
+ * and /labs/verify/<token> checks it.
+ */
+
+const MAX_BODY_BYTES = 4 * 1024;
+
+const certificates = new Hono<{ Bindings: SiteEnv }>();
+
+// Issue a certificate
+certificates.post('/', async (c) => {
+  const secret = c.env.CERTIFICATE_SECRET;
+  if (!secret) return c.json({ error: 'Certificates are not configured on this server' }, 503);
+
+  const body = await readJsonObject(c, MAX_BODY_BYTES);
+  if (!body) return c.json({ error: 'Body must be a JSON object' }, 400);
+
+  const labs = await getLabs();
+  if (!labs.some((lab) => lab.id === body.lab)) {
+    return c.json({ error: `"lab" must be one of ${labs.map((lab) => lab.id).join(', ')}` }, 400);
+  }
+
+  const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+  if (name.length === 0 || name.length > MAX_CERTIFICATE_NAME_LENGTH) {
+    return c.json({ error: `"name" must be 1-${MAX_CERTIFICATE_NAME_LENGTH} characters` }, 400);
+  }
+
+  const claims = { lab: body.lab as string, name, date: getCertificateDate() };
+  const token = await signCertificate(secret, claims);
+
+  return c.json({ ...claims, token, url: `/labs/verify/${token}` }, 201);
+});
+
+export default certificates;
@@ -0,0 +1,24 @@
+/**
+ * Human-friendly random codes (sync codes, workshop session codes)
+ */
+
+// No 0/O or 1/I so codes survive being read aloud in a workshop
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUP = '[A-HJ-NP-Z2-9]{4}';
+
+/**
+ * Random code of 4-character groups, e.g. "K7QW-3MZP" for 2 groups
+ */
+export function createCode(groups: number): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(groups * 4));
+  const chars = Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+
+  return Array.from({ length: groups }, (_, i) => chars.slice(i * 4, i * 4 + 4).join('')).join('-');
+}
+
+/**
+ * Pattern matching the codes createCode makes
+ */
+export function codePattern(groups: number): RegExp {
+  return new RegExp(`^${Array(groups).fill(CODE_GROUP).join('-')}$`);
+}
@@ -0,0 +1,250 @@
+import { Hono, type Context } from 'hono';
+import { readJsonObject } from './body';
+import { codePattern, createCode } from './codes';
+
+/**
+ * Workshop sessions ("cohorts") stored in D1 (migrations/).
+ *
+ * An instructor creates a session and gets its code plus an instructor key. Participants join
+ * with the code and report step changes and completions; the instructor key unlocks the
+ * dashboard summary of everyone's position.
+ */
+
+export const EVENT_TYPES = ['step-change', 'step-completed', 'step-incompleted', 'heartbeat'] as const;
+
+export type CohortEventType = (typeof EVENT_TYPES)[number];
+
+export interface CohortParticipant {
+  id: string;
+  name: string;
+  lab: string | null;
+  step: number | null;
+  stepSince: number | null;
+  lastSeen: number;
+  joinedAt: number;
+  completed: { lab: string; step: number }[];
+}
+
+const CODE_PATTERN = codePattern(2);
+const LAB_PATTERN = /^[a-z0-9-]{1,40}$/;
+const MAX_BODY_BYTES = 4 * 1024;
+const MAX_NAME_LENGTH = 60;
+
+type AppEnv = { Bindings: SiteEnv; Variables: { db: D1Database } };
+
+/**
+ * The route's session code, normalized, or null when malformed
+ */
+function readCode(c: Context<AppEnv>): string | null {
+  const code = c.req.param('code')?.toUpperCase();
+  return code && CODE_PATTERN.test(code) ? code : null;
+}
+
+/**
+ * Trimmed display name, or null when missing or too long
+ */
+function readName(value: unknown): string | null {
+  if (typeof value !== 'string') return null;
+
+  const name = value.trim();
+  return name.length > 0 && name.length <= MAX_NAME_LENGTH ? name : null;
+}
+
+/**
+ * Compare two secrets in constant time. Both are hashed first, so the compared bytes always have
+ * the same length; the loop is used instead of the Workers-only `crypto.subtle.timingSafeEqual`
+ * so the API also runs under `astro dev`.
+ */
+async function secretsMatch(a: string, b: string): Promise<boolean> {
+  const encoder = new TextEncoder();
+  const [digestA, digestB] = await Promise.all(
+    [a, b].map(async (value) => new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(value))))
+  );
+
+  let difference = 0;
+  for (let i = 0; i < digestA.length; i++) difference |= digestA[i] ^ digestB[i];
+  return difference === 0;
+}
+
+const cohorts = new Hono<AppEnv>();
+
+// Without the COHORTS binding (see wrangler.jsonc) workshop sessions are unavailable
+cohorts.use('*', async (c, next) => {
+  if (!c.env.COHORTS) {
+    return c.json({ error: 'Workshop sessions are not configured on this server' }, 503);
+  }
+  c.set('db', c.env.COHORTS);
+  await next();
+});
+
+// Create a session
+cohorts.post('/', async (c) => {
+  const body = await readJsonObject(c, MAX_BODY_BYTES);
+  const name = readName(body?.name);
+  if (!name) return c.json({ error: `"name" must be 1-${MAX_NAME_LENGTH} characters` }, 400);
+
+  const code = createCode(2);
+  const instructorKey = crypto.randomUUID();
+
+  await c.var.db.prepare(
+    'INSERT INTO cohorts (code, name, instructor_key, created_at) VALUES (?, ?, ?, ?)'
+  )
+    .bind(code, name, instructorKey, Date.now())
+    .run();
+
+  return c.json({ code, name, instructorKey }, 201);
+});
+
+// Public session details, used to check a code before joining
+cohorts.get('/:code', async (c) => {
+  const code = readCode(c);
+  if (!code) return c.json({ error: 'Invalid session code' }, 400);
+
+  const cohort = await c.var.db.prepare(
+    'SELECT code, name, created_at AS createdAt FROM cohorts WHERE code = ?'
+  )
+    .bind(code)
+    .first();
+  if (!cohort) return c.json({ error: 'Unknown session code' }, 404);
+
+  return c.json(cohort);
+});
+
+// Join a session
+cohorts.post('/:code/participants', async (c) => {
+  const code = readCode(c);
+  if (!code) return c.json({ error: 'Invalid session code' }, 400);
+
+  const body = await readJsonObject(c, MAX_BODY_BYTES);
+  const name = readName(body?.name);
+  if (!name) return c.json({ error: `"name" must be 1-${MAX_NAME_LENGTH} characters` }, 400);
+
+  const cohort = await c.var.db.prepare('SELECT code FROM cohorts WHERE code = ?')
+    .bind(code)
+    .first();
+  if (!cohort) return c.json({ error: 'Unknown session code' }, 404);
+
+  const participantId = crypto.randomUUID();
+  const now = Date.now();
+  await c.var.db.prepare(
+    'INSERT INTO participants (id, cohort_code, name, last_seen, joined_at) VALUES (?, ?, ?, ?, ?)'
+  )
+    .bind(participantId, code, name, now, now)
+    .run();
+
+  return c.json({ participantId, code, name }, 201);
+});
+
+// Report a step change, completion or heartbeat
+cohorts.post('/:code/events', async (c) => {
+  const code = readCode(c);
+  if (!code) return c.json({ error: 'Invalid session code' }, 400);
+
+  const body = await readJsonObject(c, MAX_BODY_BYTES);
+  if (!body) return c.json({ error: 'Body must be a JSON object' }, 400);
+
+  const { participantId, type, lab, step } = body;
+  if (typeof participantId !== 'string') return c.json({ error: '"participantId" is required' }, 400);
+  if (!EVENT_TYPES.includes(type as CohortEventType)) {
+    return c.json({ error: `"type" must be one of ${EVENT_TYPES.join(', ')}` }, 400);
+  }
+  if (type !== 'heartbeat') {
+    if (typeof lab !== 'string' || !LAB_PATTERN.test(lab)) {
+      return c.json({ error: '"lab" must be a lab id' }, 400);
+    }
+    if (!Number.isInteger(step) || (step as number) < 1 || (step as number) > 999) {
+      return c.json({ error: '"step" must be a step number' }, 400);
+    }
+  }
+
+  const now = Date.now();
+  const db = c.var.db;
+
+  // Also checks that the participant belongs to this session
+  const seen =
+    type === 'step-change'
+      ? db
+          .prepare(
+            `UPDATE participants
+             SET step_since = CASE WHEN lab IS ?1 AND step IS ?2 THEN step_since ELSE ?3 END,
+                 lab = ?1, step = ?2, last_seen = ?3
+             WHERE id = ?4 AND cohort_code = ?5`
+          )
+          .bind(lab, step, now, participantId, code)
+      : db
+          .prepare('UPDATE participants SET last_seen = ? WHERE id = ? AND cohort_code = ?')
+          .bind(now, participantId, code);
+
+  const result = await seen.run();
+  if (result.meta.changes === 0) return c.json({ error: 'Unknown participant' }, 404);
+
+  if (type === 'step-completed') {
+    await db
+      .prepare(
+        'INSERT OR IGNORE INTO completions (participant_id, lab, step, completed_at) VALUES (?, ?, ?, ?)'
+      )
+      .bind(participantId, lab, step, now)
+      .run();
+  } else if (type === 'step-incompleted') {
+    await db
+      .prepare('DELETE FROM completions WHERE participant_id = ? AND lab = ? AND step = ?')
+      .bind(participantId, lab, step)
+      .run();
+  }
+
+  return c.body(null, 204);
+});
+
+// Everyone's position, for the instructor dashboard
+cohorts.get('/:code/dashboard', async (c) => {
+  const code = readCode(c);
+  if (!code) return c.json({ error: 'Invalid session code' }, 400);
+
+  const db = c.var.db;
+
+  const cohort = await db
+    .prepare('SELECT code, name, instructor_key, created_at FROM cohorts WHERE code = ?')
+    .bind(code)
+    .first<{ code: string; name: string; instructor_key: string; created_at: number }>();
+  if (!cohort) return c.json({ error: 'Unknown session code' }, 404);
+
+  const authorization = c.req.header('Authorization') ?? '';
+  if (!(await secretsMatch(authorization, `Bearer ${cohort.instructor_key}`))) {
+    return c.json({ error: 'Instructor key required' }, 403);
+  }
+
+  const [participants, completions] = await db.batch<Record<string, unknown>>([
+    db
+      .prepare(
+        `SELECT id, name, lab, step, step_since AS stepSince, last_seen AS lastSeen, joined_at AS joinedAt
+         FROM participants WHERE cohort_code = ? ORDER BY joined_at`
+      )
+      .bind(code),
+    db
+      .prepare(
+        `SELECT c.participant_id AS participantId, c.lab, c.step
+         FROM completions c JOIN participants p ON p.id = c.participant_id
+         WHERE p.cohort_code = ?`
+      )
+      .bind(code),
+  ]);
+
+  const byId = new Map<string, CohortParticipant>();
+  for (const row of participants.results) {
+    byId.set(row.id as string, { ...(row as Omit<CohortParticipant, 'completed'>), completed: [] });
+  }
+  for (const row of completions.results) {
+    byId.get(row.participantId as string)?.completed.push({
+      lab: row.lab as string,
+      step: row.step as number,
+    });
+  }
+
+  return c.json({
+    cohort: { code: cohort.code, name: cohort.name, createdAt: cohort.created_at },
+    participants: [...byId.values()],
+    now: Date.now(),
+  });
+});
+
+export default cohorts;
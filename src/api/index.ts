@@ -0,0 +1,28 @@
+import { Hono } from 'hono';
+import { HTTPException } from 'hono/http-exception';
+import sync from './sync';
+import cohorts from './cohorts';
+import certificates from './certificates';
+
+/**
+ * Worker API, served under /api by src/pages/api/[...path].ts
+ */
+const app = new Hono<{ Bindings: SiteEnv }>().basePath('/api');
+
+app.route('/sync', sync);
+app.route('/cohorts', cohorts);
+app.route('/certificates', certificates);
+
+app.notFound((c) => c.json({ error: 'Not found' }, 404));
+
+app.onError((error, c) => {
+  // Thrown on purpose, e.g. the 413 for an oversized body (see body.ts)
+  if (error instanceof HTTPException) {
+    return c.json({ error: error.message }, error.status);
+  }
+
+  console.error('API error:', error);
+  return c.json({ error: 'Internal error' }, 500);
+});
+
+export default app;
@@ -0,0 +1,148 @@
+import { Hono } from 'hono';
+import { isObject, readJsonObject } from './body';
+import { codePattern, createCode } from './codes';
+
+/**
+ * Progress sync: progress documents stored in KV under an anonymous sync code.
+ *
+ * Devices PUT their whole local document and get the merged result back, so a single
+ * request both pushes and pulls. Merging is last-write-wins per step, using each step's
+ * `updatedAt` timestamp (ms).
+ */
+
+export interface StepState {
+  updatedAt?: number;
+  [field: string]: unknown;
+}
+
+export interface SyncDocument {
+  version: number;
+  labs: Record<string, { steps: Record<string, StepState> }>;
+  updatedAt: number;
+}
+
+const CODE_PATTERN = codePattern(3);
+const MAX_LABS = 50;
+const MAX_STEPS = 200;
+const MAX_BODY_BYTES = 256 * 1024;
+
+/**
+ * Random sync code, e.g. "K7QW-3MZP-X9TB"
+ */
+export function createSyncCode(): string {
+  return createCode(3);
+}
+
+/**
+ * Validate an uploaded progress document, returning an error message when it is unusable
+ */
+export function validateDocument(value: unknown): string | null {
+  if (!isObject(value)) return 'body must be a progress document';
+  if (!Number.isInteger(value.version)) return '"version" must be an integer';
+  if (!isObject(value.labs)) return '"labs" must be an object';
+
+  const labs = Object.entries(value.labs);
+  if (labs.length > MAX_LABS) return `at most ${MAX_LABS} labs can be synced`;
+
+  for (const [labId, lab] of labs) {
+    if (!isObject(lab) || !isObject(lab.steps)) return `lab "${labId}" must have a "steps" object`;
+
+    const steps = Object.entries(lab.steps);
+    if (steps.length > MAX_STEPS) return `lab "${labId}" has more than ${MAX_STEPS} steps`;
+
+    for (const [stepId, state] of steps) {
+      if (!isObject(state)) return `step "${labId}/${stepId}" must be an object`;
+      if (state.updatedAt !== undefined && typeof state.updatedAt !== 'number') {
+        return `step "${labId}/${stepId}" has a non-numeric "updatedAt"`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Merge two documents, keeping the most recently updated state of every step
+ */
+export function mergeDocuments(stored: SyncDocument | null, incoming: SyncDocument): SyncDocument {
+  const labs: SyncDocument['labs'] = {};
+
+  for (const source of [stored, incoming]) {
+    if (!source) continue;
+
+    for (const [labId, lab] of Object.entries(source.labs)) {
+      const steps = (labs[labId] ||= { steps: {} }).steps;
+
+      for (const [stepId, state] of Object.entries(lab.steps)) {
+        const current = steps[stepId];
+        // Ties keep the stored state so replaying an old upload changes nothing
+        if (!current || (state.updatedAt ?? 0) > (current.updatedAt ?? 0)) {
+          steps[stepId] = state;
+        }
+      }
+    }
+  }
+
+  return {
+    version: Math.max(stored?.version ?? 0, incoming.version),
+    labs,
+    updatedAt: Date.now(),
+  };
+}
+
+const sync = new Hono<{ Bindings: SiteEnv }>();
+
+const storageKey = (code: string) => `sync:${code}`;
+
+const NOT_CONFIGURED = 'Progress sync is not configured on this server';
+
+// Create a new, empty sync code
+sync.post('/', async (c) => {
+  const kv = c.env.PROGRESS_SYNC;
+  if (!kv) return c.json({ error: NOT_CONFIGURED }, 503);
+
+  const code = createSyncCode();
+  const document: SyncDocument = { version: 0, labs: {}, updatedAt: Date.now() };
+
+  await kv.put(storageKey(code), JSON.stringify(document));
+  return c.json({ code, document }, 201);
+});
+
+// Pull the stored document
+sync.get('/:code', async (c) => {
+  const kv = c.env.PROGRESS_SYNC;
+  if (!kv) return c.json({ error: NOT_CONFIGURED }, 503);
+
+  const code = c.req.param('code').toUpperCase();
+  if (!CODE_PATTERN.test(code)) return c.json({ error: 'Invalid sync code' }, 400);
+
+  const document = await kv.get<SyncDocument>(storageKey(code), 'json');
+  if (!document) return c.json({ error: 'Unknown sync code' }, 404);
+
+  return c.json({ code, document });
+});
+
+// Push a local document and get the merged result back
+sync.put('/:code', async (c) => {
+  const kv = c.env.PROGRESS_SYNC;
+  if (!kv) return c.json({ error: NOT_CONFIGURED }, 503);
+
+  const code = c.req.param('code').toUpperCase();
+  if (!CODE_PATTERN.test(code)) return c.json({ error: 'Invalid sync code' }, 400);
+
+  const incoming = await readJsonObject(c, MAX_BODY_BYTES);
+  if (!incoming) return c.json({ error: 'Body must be a JSON progress document' }, 400);
+
+  const problem = validateDocument(incoming);
+  if (problem) return c.json({ error: problem }, 400);
+
+  const stored = await kv.get<SyncDocument>(storageKey(code), 'json');
+  if (!stored) return c.json({ error: 'Unknown sync code' }, 404);
+
+  const document = mergeDocuments(stored, incoming as unknown as SyncDocument);
+  await kv.put(storageKey(code), JSON.stringify(document));
+
+  return c.json({ code, document });
+});
+
+export default sync;
@@ -9,12 +9,97 @@ const workshopSteps = defineCollection({
     duration: z.string(),
     difficulty: z.enum(['beginner', 'intermediate', 'advanced']),
     tags: z.array(z.string()).optional(),
-    prerequisites: z.array(z.string()).optional(),
+    prerequisites: z
+      .object({
+        // Steps to finish first; `lab` defaults to the step's own lab
+        steps: z
+          .array(
+            z.object({
+              lab: z.string().optional(),
+              step: z.number(),
+            })
+          )
+          .default([]),
+        // Named environment requirements, e.g. "Wrangler CLI installed"
+        environment: z.array(z.string()).default([]),
+      })
+      .optional(),
     learningObjectives: z.array(z.string()).optional(),
   }),
 });
 
+const link = z.object({
+  label: z.string(),
+  href: z.string().url(),
+});
+
+// Lab registry - one entry per lab, rendered by src/pages/labs/[lab]/index.astro
+const labs = defineCollection({
+  type: 'data',
+  schema: z.object({
+    title: z.string(),
+    pageTitle: z.string(),
+    stepsCollection: z.enum(['workers-steps', 'mcp-steps']),
+    hero: z.object({
+      title: z.string(),
+      subtitle: z.string(),
+    }),
+    // Card on the /labs directory, which lists labs by `order`
+    card: z.object({
+      order: z.number().int(),
+      icon: z.string(),
+      title: z.string(),
+      description: z.string(),
+      highlights: z.array(z.string()),
+    }),
+    overviewCards: z.array(
+      z.object({
+        title: z.string(),
+        items: z.array(z.string()),
+      })
+    ),
+    fundamentals: z.object({
+      title: z.string(),
+      cards: z.array(
+        z.object({
+          title: z.string(),
+          level: z.enum(['h3', 'h4']).default('h4'),
+          body: z.string().optional(),
+          // Inline markdown, e.g. "**Tools:** Functions that AI assistants can call"
+          items: z.array(z.string()).optional(),
+        })
+      ),
+    }),
+    resources: z.object({
+      subtitle: z.string(),
+      cards: z.array(
+        z.object({
+          title: z.string(),
+          description: z.string(),
+          href: z.string().url(),
+          linkText: z.string(),
+        })
+      ),
+    }),
+    footer: z.object({
+      resources: z.array(link),
+      help: z.array(link),
+      hashtag: z.string(),
+      copyright: z.string(),
+    }),
+    seo: z.object({
+      description: z.string(),
+      url: z.string().url(),
+      image: z.string().url(),
+      keywords: z.string(),
+      siteName: z.string(),
+      teaches: z.array(z.string()),
+    }),
+  }),
+});
+
 export const collections = {
+  labs,
   'workers-steps': workshopSteps,
   'mcp-steps': workshopSteps,
 };
@@ -1,4 +1,13 @@
-type Runtime = import('@astrojs/cloudflare').Runtime<Env>;
+// The generated Env (worker-configuration.d.ts) has the local bindings from wrangler.jsonc, but production
+// only has KV and D1 once they are added to env.production (see README), and the certificate secret once
+// it is set (.dev.vars locally). The API answers 503 for features whose binding is missing.
+type SiteEnv = Omit<Env, 'PROGRESS_SYNC' | 'COHORTS' | 'CERTIFICATE_SECRET'> & {
+  PROGRESS_SYNC?: KVNamespace;
+  COHORTS?: D1Database;
+  CERTIFICATE_SECRET?: string;
+};
+
+type Runtime = import('@astrojs/cloudflare').Runtime<SiteEnv>;
 
 declare namespace App {
   interface Locals extends Runtime {}
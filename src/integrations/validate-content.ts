@@ -0,0 +1,399 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import yaml from 'js-yaml';
+import type { AstroIntegration, AstroIntegrationLogger } from 'astro';
+import { parseDuration } from '../utils/duration';
+import { findQuizzes } from '../utils/quiz';
+import { calloutTypes } from '../utils/callouts';
+
+export interface ContentProblem {
+  file: string;
+  line: number;
+  message: string;
+}
+
+interface StepFile {
+  file: string;
+  lines: string[];
+  // Number of lines before the MDX body (frontmatter fences included)
+  bodyOffset: number;
+  body: string;
+  data: Record<string, unknown>;
+}
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Validate every workshop step collection referenced by the lab registry.
+ *
+ * Checks step numbering, duration format, prerequisite references, `#step-N` anchors,
+ * hand-written StepNavigation props, Callout types and one Quiz per step.
+ */
+export async function validateWorkshopContent(root: string): Promise<ContentProblem[]> {
+  const contentDir = path.join(root, 'src/content');
+  const problems: ContentProblem[] = [];
+  const labCollections = await getLabCollections(contentDir);
+  const collections = new Map<string, StepFile[]>();
+
+  for (const collection of new Set(labCollections.values())) {
+    collections.set(
+      collection,
+      await readStepFiles(path.join(contentDir, collection), root, problems)
+    );
+  }
+
+  // Prerequisites may point into other labs, so every collection is read before validating
+  const stepNumbers = new Map<string, Set<unknown>>();
+  for (const [lab, collection] of labCollections) {
+    stepNumbers.set(lab, new Set(collections.get(collection)!.map((step) => step.data.stepNumber)));
+  }
+
+  for (const [lab, collection] of labCollections) {
+    problems.push(
+      ...validateStepCollection(collection, collections.get(collection)!, lab, stepNumbers)
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Lab ids (src/content/labs/*.json file names) mapped to their step collection
+ */
+async function getLabCollections(contentDir: string): Promise<Map<string, string>> {
+  const labsDir = path.join(contentDir, 'labs');
+  const files = (await fs.readdir(labsDir)).filter((file) => file.endsWith('.json')).sort();
+
+  const entries = await Promise.all(
+    files.map(async (file) => {
+      const lab = JSON.parse(await fs.readFile(path.join(labsDir, file), 'utf-8'));
+      return [path.basename(file, '.json'), lab.stepsCollection as string] as const;
+    })
+  );
+
+  return new Map(entries);
+}
+
+/**
+ * Read and parse the frontmatter of every step in a collection directory
+ */
+async function readStepFiles(
+  dir: string,
+  root: string,
+  problems: ContentProblem[]
+): Promise<StepFile[]> {
+  const files = (await fs.readdir(dir)).filter((file) => /\.mdx?$/.test(file)).sort();
+  const steps: StepFile[] = [];
+
+  for (const name of files) {
+    const file = path.relative(root, path.join(dir, name));
+    const source = await fs.readFile(path.join(dir, name), 'utf-8');
+    const match = FRONTMATTER_PATTERN.exec(source);
+
+    if (!match) {
+      problems.push({ file, line: 1, message: 'missing frontmatter' });
+      continue;
+    }
+
+    try {
+      steps.push({
+        file,
+        lines: source.split('\n'),
+        bodyOffset: match[0].split('\n').length - 1,
+        body: source.slice(match[0].length),
+        data: (yaml.load(match[1]) as Record<string, unknown>) || {},
+      });
+    } catch (error) {
+      const mark = (error as yaml.YAMLException).mark;
+      problems.push({
+        file,
+        line: mark ? mark.line + 2 : 1,
+        message: `invalid frontmatter: ${(error as Error).message.split('\n')[0]}`,
+      });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Run all checks against one collection
+ */
+function validateStepCollection(
+  collection: string,
+  steps: StepFile[],
+  lab: string,
+  stepNumbers: Map<string, Set<unknown>>
+): ContentProblem[] {
+  const problems: ContentProblem[] = [];
+  const byNumber = new Map<number, StepFile>();
+
+  // Step numbering: integers, unique, and no gaps from 1..N
+  for (const step of steps) {
+    const stepNumber = step.data.stepNumber;
+    const line = findKeyLine(step, 'stepNumber');
+
+    if (!Number.isInteger(stepNumber) || (stepNumber as number) < 1) {
+      problems.push({
+        file: step.file,
+        line,
+        message: `stepNumber must be a positive integer, got ${JSON.stringify(stepNumber)}`,
+      });
+      continue;
+    }
+
+    const existing = byNumber.get(stepNumber as number);
+    if (existing) {
+      problems.push({
+        file: step.file,
+        line,
+        message: `duplicate stepNumber ${stepNumber} (also used by ${existing.file})`,
+      });
+      continue;
+    }
+
+    byNumber.set(stepNumber as number, step);
+  }
+
+  const highest = Math.max(0, ...byNumber.keys());
+  for (let stepNumber = 1; stepNumber <= highest; stepNumber++) {
+    if (!byNumber.has(stepNumber)) {
+      problems.push({
+        file: `src/content/${collection}`,
+        line: 0,
+        message: `missing stepNumber ${stepNumber} (steps must be numbered 1-${highest} without gaps)`,
+      });
+    }
+  }
+
+  const ordered = [...byNumber.entries()].sort(([a], [b]) => a - b).map(([, step]) => step);
+
+  for (const step of steps) {
+    problems.push(
+      ...checkDuration(step),
+      ...checkPrerequisites(step, lab, stepNumbers),
+      ...checkStepAnchors(step, byNumber),
+      ...checkStepNavigation(step, ordered),
+      ...checkCallouts(step),
+      ...checkQuizzes(step)
+    );
+  }
+
+  return problems;
+}
+
+function checkDuration(step: StepFile): ContentProblem[] {
+  const { duration } = step.data;
+
+  if (typeof duration === 'string' && parseDuration(duration) !== null) {
+    return [];
+  }
+
+  return [
+    {
+      file: step.file,
+      line: findKeyLine(step, 'duration'),
+      message: `duration ${JSON.stringify(duration)} is not valid - use "45 min", "1h" or "1h 30m"`,
+    },
+  ];
+}
+
+function checkPrerequisites(
+  step: StepFile,
+  lab: string,
+  stepNumbers: Map<string, Set<unknown>>
+): ContentProblem[] {
+  const prerequisites = step.data.prerequisites as { steps?: unknown } | undefined;
+  if (!prerequisites || !Array.isArray(prerequisites.steps)) return [];
+
+  const startLine = findKeyLine(step, 'prerequisites');
+
+  return prerequisites.steps.flatMap((reference: { lab?: string; step?: unknown }) => {
+    const targetLab = reference.lab ?? lab;
+    const line = findTextLine(step, `step: ${reference.step}`, startLine);
+    const targets = stepNumbers.get(targetLab);
+
+    if (!targets) {
+      return [
+        {
+          file: step.file,
+          line,
+          message: `prerequisite lab "${targetLab}" is not one of: ${[...stepNumbers.keys()].join(', ')}`,
+        },
+      ];
+    }
+
+    if (targets.has(reference.step)) return [];
+
+    return [
+      {
+        file: step.file,
+        line,
+        message: `prerequisite points at step ${reference.step} of lab "${targetLab}", which does not exist`,
+      },
+    ];
+  });
+}
+
+function checkStepAnchors(step: StepFile, byNumber: Map<number, StepFile>): ContentProblem[] {
+  const problems: ContentProblem[] = [];
+
+  for (const match of step.body.matchAll(/#step-(\d+)\b/g)) {
+    if (!byNumber.has(Number(match[1]))) {
+      problems.push({
+        file: step.file,
+        line: bodyLine(step, match.index),
+        message: `link to #step-${match[1]} points at a step that does not exist`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+function checkStepNavigation(step: StepFile, ordered: StepFile[]): ContentProblem[] {
+  const problems: ContentProblem[] = [];
+  const index = ordered.indexOf(step);
+  if (index === -1) return problems;
+
+  const expected = {
+    currentStep: step.data.stepNumber as number,
+    totalSteps: ordered.length,
+    prevStep: ordered[index - 1],
+    nextStep: ordered[index + 1],
+  };
+
+  for (const match of step.body.matchAll(/<StepNavigation\b[\s\S]*?\/>/g)) {
+    const usage = match[0];
+    const line = bodyLine(step, match.index);
+    const flag = (message: string) =>
+      problems.push({ file: step.file, line, message: `StepNavigation ${message}` });
+
+    for (const prop of ['currentStep', 'totalSteps'] as const) {
+      const value = new RegExp(`${prop}=\\{(\\d+)\\}`).exec(usage);
+      if (value && Number(value[1]) !== expected[prop]) {
+        flag(`${prop}={${value[1]}} but the real value is ${expected[prop]}`);
+      }
+    }
+
+    for (const prop of ['prevStep', 'nextStep'] as const) {
+      const target = expected[prop];
+      const block = new RegExp(`${prop}=\\{\\{([\\s\\S]*?)\\}\\}`).exec(usage);
+
+      if (!block) {
+        if (target) flag(`is missing ${prop} (step ${target.data.stepNumber})`);
+        continue;
+      }
+
+      if (!target) {
+        flag(`has a ${prop} but step ${expected.currentStep} has none`);
+        continue;
+      }
+
+      const slug = /slug:\s*"([^"]*)"/.exec(block[1])?.[1];
+      const title = /title:\s*"([^"]*)"/.exec(block[1])?.[1];
+      if (slug !== undefined && slug !== `#step-${target.data.stepNumber}`) {
+        flag(`${prop} slug "${slug}" should be "#step-${target.data.stepNumber}"`);
+      }
+      if (title !== undefined && title !== target.data.title) {
+        flag(`${prop} title "${title}" should be "${target.data.title}"`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function checkCallouts(step: StepFile): ContentProblem[] {
+  const problems: ContentProblem[] = [];
+
+  for (const match of step.body.matchAll(/<Callout\b[^>]*?\btype=["']([^"']+)["']/g)) {
+    if (!(match[1] in calloutTypes)) {
+      problems.push({
+        file: step.file,
+        line: bodyLine(step, match.index),
+        message: `Callout type "${match[1]}" is not one of: ${Object.keys(calloutTypes).join(', ')}`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+function checkQuizzes(step: StepFile): ContentProblem[] {
+  // Quiz results are stored per step, so a second quiz would overwrite the first one's score
+  return findQuizzes(step.body).slice(1).map((index) => ({
+    file: step.file,
+    line: bodyLine(step, index),
+    message: 'only one Quiz is allowed per step',
+  }));
+}
+
+/**
+ * 1-based line of a frontmatter key (falls back to the opening fence)
+ */
+function findKeyLine(step: StepFile, key: string): number {
+  const index = step.lines.findIndex(
+    (line, i) => i < step.bodyOffset && new RegExp(`^${key}\\s*:`).test(line)
+  );
+  return index === -1 ? 1 : index + 1;
+}
+
+/**
+ * 1-based line of a frontmatter value, searching from a starting line
+ */
+function findTextLine(step: StepFile, text: string, fromLine: number): number {
+  const index = step.lines.findIndex((line, i) => i >= fromLine - 1 && line.includes(text));
+  return index === -1 ? fromLine : index + 1;
+}
+
+/**
+ * 1-based file line for an offset into the MDX body
+ */
+function bodyLine(step: StepFile, offset = 0): number {
+  return step.bodyOffset + step.body.slice(0, offset).split('\n').length;
+}
+
+function formatProblem(problem: ContentProblem): string {
+  return problem.line > 0
+    ? `${problem.file}:${problem.line} ${problem.message}`
+    : `${problem.file} ${problem.message}`;
+}
+
+function report(
+  logger: AstroIntegrationLogger,
+  problems: ContentProblem[],
+  level: 'error' | 'warn'
+) {
+  problems.forEach((problem) => logger[level](formatProblem(problem)));
+}
+
+/**
+ * Astro integration: fail `astro build` on invalid workshop content, warn during `astro dev`
+ */
+export default function validateContent(): AstroIntegration {
+  let root = process.cwd();
+
+  return {
+    name: 'validate-content',
+    hooks: {
+      'astro:config:done': ({ config }) => {
+        root = fileURLToPath(config.root);
+      },
+      'astro:server:setup': async ({ logger }) => {
+        report(logger, await validateWorkshopContent(root), 'warn');
+      },
+      'astro:build:start': async ({ logger }) => {
+        const problems = await validateWorkshopContent(root);
+
+        if (problems.length > 0) {
+          report(logger, problems, 'error');
+          throw new Error(`Workshop content validation failed with ${problems.length} problem(s)`);
+        }
+
+        logger.info('Workshop content validated');
+      },
+    },
+  };
+}
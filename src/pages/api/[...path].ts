@@ -0,0 +1,8 @@
+import type { APIRoute } from 'astro';
+import app from '../../api';
+
+// Rendered on demand by the Worker; every other page is static
+export const prerender = false;
+
+export const ALL: APIRoute = ({ request, locals }) =>
+  app.fetch(request, locals.runtime.env, locals.runtime.ctx);
@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { getLabOutlines } from '../../utils/labs';
+
+// Generated at build time and fetched by the instructor dashboard (public/assets/js/components/InstructorDashboard.js)
+export const GET: APIRoute = async () => {
+  return new Response(JSON.stringify(await getLabOutlines()), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
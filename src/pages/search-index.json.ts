@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { buildSearchIndex } from '../utils/search';
+
+// Generated at build time and fetched by the command palette (public/assets/js/components/CommandPalette.js)
+export const GET: APIRoute = async () => {
+  return new Response(JSON.stringify(await buildSearchIndex()), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
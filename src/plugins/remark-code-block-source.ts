@@ -0,0 +1,61 @@
+interface Node {
+  type: string;
+  name?: string | null;
+  value?: unknown;
+  data?: unknown;
+  attributes?: Node[];
+  position?: { start: { offset?: number }; end: { offset?: number } };
+  children?: Node[];
+}
+
+interface File {
+  value?: unknown;
+}
+
+/**
+ * Pass the source text of <CodeBlock> children in MDX steps to the component as its `code` prop.
+ *
+ * MDX parses JSX children as markdown, so code written inside <CodeBlock> would reach the
+ * component as paragraphs with smart quotes and dashes (`--template` became `—template`).
+ * A single `{`...`}` expression child is passed through as the prop's expression instead.
+ */
+export function remarkCodeBlockSource() {
+  return (tree: Node, file: File) => {
+    const source = String(file.value ?? '');
+
+    const visit = (node: Node) => {
+      if (node.type === 'mdxJsxFlowElement' && node.name === 'CodeBlock' && node.children?.length) {
+        const code = getCode(node.children, source);
+        if (code) {
+          node.attributes = [...(node.attributes ?? []), { type: 'mdxJsxAttribute', name: 'code', value: code }];
+          node.children = [];
+        }
+        return;
+      }
+
+      node.children?.forEach(visit);
+    };
+
+    visit(tree);
+  };
+}
+
+function getCode(children: Node[], source: string): Node['value'] | null {
+  const [first] = children;
+
+  if (children.length === 1 && first.type === 'mdxFlowExpression') {
+    return { type: 'mdxJsxAttributeValueExpression', value: first.value, data: first.data };
+  }
+
+  const start = first.position?.start.offset;
+  const end = children[children.length - 1].position?.end.offset;
+  if (start === undefined || end === undefined) return null;
+
+  // From the start of the first line, so its indentation is kept, then dedent the whole block
+  const lines = source.slice(source.lastIndexOf('\n', start - 1) + 1, end).split('\n');
+  const indent = Math.min(
+    ...lines.filter((line) => line.trim()).map((line) => line.match(/^[ \t]*/)![0].length)
+  );
+
+  return lines.map((line) => line.slice(indent)).join('\n');
+}
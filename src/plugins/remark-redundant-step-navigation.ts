@@ -0,0 +1,39 @@
+import path from 'node:path';
+
+interface Node {
+  type: string;
+  name?: string | null;
+  position?: { start: { line: number } };
+  children?: Node[];
+}
+
+interface File {
+  path?: string;
+}
+
+/**
+ * Flag hand-written <StepNavigation> usages in MDX steps.
+ *
+ * The lab page injects StepNavigation after every step from the sorted collection,
+ * so a copy inside the MDX renders twice and its props drift when steps move.
+ */
+export function remarkRedundantStepNavigation() {
+  return (tree: Node, file: File) => {
+    const visit = (node: Node) => {
+      if (
+        (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') &&
+        node.name === 'StepNavigation'
+      ) {
+        const location = file.path ? path.relative(process.cwd(), file.path) : 'unknown file';
+        const line = node.position ? `:${node.position.start.line}` : '';
+        console.warn(
+          `[step-navigation] ${location}${line}: <StepNavigation> is redundant - the lab page adds it from the step order. Remove it from the MDX.`
+        );
+      }
+
+      node.children?.forEach(visit);
+    };
+
+    visit(tree);
+  };
+}
@@ -0,0 +1,154 @@
+import type { Element, ElementContent } from 'hast';
+import type { ShikiTransformer } from 'shiki';
+
+/**
+ * Annotations of one code block, from <CodeBlock> props or a fenced block's meta string.
+ * Line lists are 1-based ranges such as "3,7-9".
+ */
+export interface CodeAnnotations {
+  title?: string;
+  filename?: string;
+  showLineNumbers?: boolean;
+  highlightLines?: string;
+  addedLines?: string;
+  removedLines?: string;
+}
+
+interface ResolvedAnnotations extends CodeAnnotations {
+  highlighted: Set<number>;
+  added: Set<number>;
+  removed: Set<number>;
+}
+
+/**
+ * Themes for both ThemeToggle modes: the dark colors are inlined (the site's default),
+ * and `body.light-mode` switches code to the `--shiki-light` variables (see code.css)
+ */
+export const codeThemes = { light: 'github-light', dark: 'github-dark' } as const;
+export const codeDefaultColor = 'dark';
+
+const META_ATTRIBUTES: Record<string, keyof CodeAnnotations> = {
+  title: 'title',
+  filename: 'filename',
+  ins: 'addedLines',
+  del: 'removedLines',
+};
+
+/**
+ * Parse a fenced block's meta string, e.g. ```ts filename="src/index.ts" {3,7-9} ins={4} del={5} showLineNumbers
+ */
+export function parseCodeMeta(meta = ''): CodeAnnotations {
+  const annotations: Record<string, string | boolean> = {};
+
+  const rest = meta.replace(
+    /([\w-]+)=(?:"([^"]*)"|'([^']*)'|\{([^}]*)\})/g,
+    (match, key: string, double?: string, single?: string, braces?: string) => {
+      const name = META_ATTRIBUTES[key];
+      if (!name) return match;
+      annotations[name] = double ?? single ?? braces ?? '';
+      return '';
+    }
+  );
+
+  const highlight = rest.match(/\{([^}]*)\}/);
+  if (highlight) annotations.highlightLines = highlight[1];
+  if (/\bshowLineNumbers\b/.test(rest)) annotations.showLineNumbers = true;
+
+  return annotations as CodeAnnotations;
+}
+
+/**
+ * Expand line ranges such as "3,7-9" into line numbers
+ */
+export function parseLineRanges(ranges = ''): Set<number> {
+  const lines = new Set<number>();
+
+  ranges
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!match) {
+        console.warn(`[code-annotations] Ignoring line range "${part}" - use numbers like "3,7-9".`);
+        return;
+      }
+
+      const start = Number(match[1]);
+      const end = Number(match[2] ?? match[1]);
+      for (let line = start; line <= end; line++) lines.add(line);
+    });
+
+  return lines;
+}
+
+const element = (
+  tagName: string,
+  properties: Element['properties'],
+  children: ElementContent[] = []
+): Element => ({ type: 'element', tagName, properties, children });
+
+const text = (value: string): ElementContent => ({ type: 'text', value });
+
+/**
+ * Shiki transformer for line numbers, highlighted and added/removed lines, and the
+ * filename/title header. `defaults` are used by <CodeBlock>; fenced blocks use their meta string.
+ */
+export function codeAnnotations(defaults: CodeAnnotations = {}): ShikiTransformer {
+  // Resolved once per highlighted block (`this.meta` is per call)
+  const resolved = new WeakMap<object, ResolvedAnnotations>();
+
+  const resolve = (meta: object, rawMeta?: string) => {
+    if (!resolved.has(meta)) {
+      const annotations = { ...defaults, ...parseCodeMeta(rawMeta) };
+      resolved.set(meta, {
+        ...annotations,
+        highlighted: parseLineRanges(annotations.highlightLines),
+        added: parseLineRanges(annotations.addedLines),
+        removed: parseLineRanges(annotations.removedLines),
+      });
+    }
+    return resolved.get(meta)!;
+  };
+
+  return {
+    name: 'code-annotations',
+
+    line(node, line) {
+      const { highlighted, added, removed } = resolve(this.meta, this.options.meta?.__raw);
+
+      if (highlighted.has(line)) this.addClassToHast(node, 'highlighted');
+      if (added.has(line)) this.addClassToHast(node, ['diff', 'add']);
+      else if (removed.has(line)) this.addClassToHast(node, ['diff', 'remove']);
+    },
+
+    pre(node) {
+      const { showLineNumbers, added, removed } = resolve(this.meta, this.options.meta?.__raw);
+
+      if (showLineNumbers) this.addClassToHast(node, 'line-numbers');
+      if (added.size > 0 || removed.size > 0) this.addClassToHast(node, 'has-diff');
+    },
+
+    // Wrap the block with its header, styled by code.css
+    root(root) {
+      const pre = root.children[0];
+      if (root.children.length !== 1 || pre?.type !== 'element' || pre.tagName !== 'pre') return;
+
+      const { title, filename } = resolve(this.meta, this.options.meta?.__raw);
+      const language = this.options.lang;
+
+      const header = element('div', { className: ['code-block-header'] }, [
+        ...(filename ? [element('span', { className: ['code-filename'] }, [text(filename)])] : []),
+        ...(title ? [element('span', { className: ['code-title'] }, [text(title)])] : []),
+        element('span', { className: ['code-language'] }, [text(language)]),
+      ]);
+
+      root.children = [
+        element('div', { className: ['code-block-wrapper'] }, [
+          ...(title || filename ? [header] : []),
+          element('div', { className: ['code-block'], dataLanguage: language }, [pre]),
+        ]),
+      ];
+    },
+  };
+}
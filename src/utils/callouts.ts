@@ -0,0 +1,11 @@
+// Callout variants - shared by Callout.astro and the content validation pass
+export const calloutTypes = {
+  note: { icon: '📝', title: 'Note', class: 'callout-note' },
+  tip: { icon: '💡', title: 'Tip', class: 'callout-tip' },
+  important: { icon: '🚀', title: 'Important', class: 'callout-important' },
+  caution: { icon: '⚠️', title: 'Caution', class: 'callout-caution' },
+  tool: { icon: '🛠️', title: 'Tool', class: 'callout-tool' },
+  globe: { icon: '🌐', title: 'Globe', class: 'callout-globe' },
+};
+
+export type CalloutType = keyof typeof calloutTypes;
@@ -0,0 +1,165 @@
+/**
+ * Self-issued lab certificates: tokens signed with HMAC-SHA256 over the lab, name and date.
+ *
+ * A token is `<payload>.<signature>`, both base64url: the payload is the JSON claims and the
+ * signature is the HMAC of the payload part under the CERTIFICATE_SECRET Worker secret.
+ */
+
+export interface CertificateClaims {
+  lab: string;
+  name: string;
+  // Day the certificate was issued, YYYY-MM-DD (UTC)
+  date: string;
+}
+
+export const MAX_CERTIFICATE_NAME_LENGTH = 80;
+
+const TOKEN_VERSION = 1;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(value: string): Uint8Array<ArrayBuffer> | null {
+  if (!/^[A-Za-z0-9_-]*$/.test(value)) return null;
+
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
+
+function importKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * Sign certificate claims into a token
+ */
+export async function signCertificate(secret: string, claims: CertificateClaims): Promise<string> {
+  const { lab, name, date } = claims;
+  const payload = toBase64Url(
+    encoder.encode(JSON.stringify({ v: TOKEN_VERSION, lab, name, date }))
+  );
+  const signature = await crypto.subtle.sign('HMAC', await importKey(secret), encoder.encode(payload));
+
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * The claims of a genuine token, or null when it is malformed or was not signed with this secret
+ */
+export async function verifyCertificate(
+  secret: string,
+  token: string
+): Promise<CertificateClaims | null> {
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const signatureBytes = fromBase64Url(signature);
+  if (!signatureBytes) return null;
+
+  // Constant-time comparison is done by WebCrypto
+  const valid = await crypto.subtle.verify(
+    'HMAC',
+    await importKey(secret),
+    signatureBytes,
+    encoder.encode(payload)
+  );
+  if (!valid) return null;
+
+  const payloadBytes = fromBase64Url(payload);
+  if (!payloadBytes) return null;
+
+  try {
+    const claims = JSON.parse(new TextDecoder().decode(payloadBytes));
+    if (
+      claims.v !== TOKEN_VERSION ||
+      typeof claims.lab !== 'string' ||
+      typeof claims.name !== 'string' ||
+      typeof claims.date !== 'string' ||
+      !DATE_PATTERN.test(claims.date)
+    ) {
+      return null;
+    }
+
+    return { lab: claims.lab, name: claims.name, date: claims.date };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Today's date in the format certificates carry
+ */
+export function getCertificateDate(now = new Date()): string {
+  return now.toISOString().slice(0, 10);
+}
+
+const escapeXml = (text: string) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]!
+  );
+
+/**
+ * The certificate as a standalone SVG document (also rasterized to PNG in the browser)
+ */
+export function renderCertificateSvg({
+  name,
+  labTitle,
+  date,
+  verifyUrl,
+}: {
+  name: string;
+  labTitle: string;
+  date: string;
+  verifyUrl: string;
+}): string {
+  // Shrink long names and titles to fit the 1000px text area (~0.55em per character)
+  const fit = (text: string, maxSize: number) =>
+    Math.min(maxSize, Math.floor(1000 / (text.length * 0.55)));
+  const tokenIndex = verifyUrl.lastIndexOf('/') + 1;
+  const token = verifyUrl.slice(tokenIndex);
+  // Monospace is ~0.6em per character; the token can fill the inner border's 1100px
+  const tokenSize = Math.min(12, Math.floor(1100 / (token.length * 0.6)));
+
+  const issued = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="850" viewBox="0 0 1200 850" role="img" aria-label="Self-issued lab certificate for ${escapeXml(name)}">
+  <rect width="1200" height="850" fill="#ffffff"/>
+  <rect x="30" y="30" width="1140" height="790" fill="none" stroke="#f38020" stroke-width="6"/>
+  <rect x="48" y="48" width="1104" height="754" fill="none" stroke="#fbad41" stroke-width="2"/>
+  <g font-family="Helvetica, Arial, sans-serif" text-anchor="middle">
+    <text x="600" y="170" font-size="26" letter-spacing="6" fill="#f38020" font-weight="700">CLOUDFLARE DEVELOPER LABS</text>
+    <text x="600" y="260" font-size="56" fill="#1d1d1d" font-weight="700">Self-Issued Lab Certificate</text>
+    <text x="600" y="340" font-size="24" fill="#595959">Issued on request by</text>
+    <text x="600" y="430" font-size="${fit(name, 60)}" fill="#1d1d1d" font-weight="700">${escapeXml(name)}</text>
+    <line x1="300" y1="460" x2="900" y2="460" stroke="#d9d9d9" stroke-width="2"/>
+    <text x="600" y="520" font-size="24" fill="#595959">who marked every step complete in</text>
+    <text x="600" y="580" font-size="${fit(labTitle, 38)}" fill="#f38020" font-weight="700">${escapeXml(labTitle)}</text>
+    <text x="600" y="660" font-size="22" fill="#595959">Issued ${escapeXml(issued)}</text>
+    <text x="600" y="735" font-size="16" fill="#8c8c8c">Verify at ${escapeXml(verifyUrl.slice(0, tokenIndex))}</text>
+    <text x="600" y="760" font-size="${tokenSize}" fill="#8c8c8c" font-family="Menlo, Consolas, monospace">${escapeXml(token)}</text>
+  </g>
+</svg>`;
+}
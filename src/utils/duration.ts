@@ -0,0 +1,23 @@
+// Accepted step durations: "45 min", "1h", "1h 30m"
+const MINUTES_PATTERN = /^(\d+) min$/;
+const HOURS_PATTERN = /^(\d+)h(?: (\d+)m)?$/;
+
+/**
+ * Parse a frontmatter duration into minutes, or null when it isn't in a supported format
+ */
+export function parseDuration(value: string): number | null {
+  const minutes = MINUTES_PATTERN.exec(value);
+  if (minutes) {
+    return Number(minutes[1]);
+  }
+
+  const hours = HOURS_PATTERN.exec(value);
+  if (hours) {
+    return Number(hours[1]) * 60 + Number(hours[2] || 0);
+  }
+
+  return null;
+}
+
+// One implementation for the pages and the browser components that show time spent and left
+export { formatDuration } from '../../public/assets/js/utils/duration.js';
@@ -0,0 +1,188 @@
+import { getCollection, getEntry, type CollectionEntry } from 'astro:content';
+import { parseDuration } from './duration';
+import { findQuizzes } from './quiz';
+
+export type Lab = CollectionEntry<'labs'>;
+export type LabStep = CollectionEntry<Lab['data']['stepsCollection']>;
+
+/**
+ * Get all registered labs
+ */
+export async function getLabs(): Promise<Lab[]> {
+  return getCollection('labs');
+}
+
+/**
+ * Get a single lab from the registry, failing loudly on unknown ids
+ */
+export async function getLab(id: string): Promise<Lab> {
+  const lab = await getEntry('labs', id);
+  if (!lab) {
+    throw new Error(`Unknown lab "${id}" - add it to src/content/labs/`);
+  }
+  return lab;
+}
+
+/**
+ * Get a lab's steps sorted by step number
+ */
+export async function getLabSteps(lab: Lab): Promise<LabStep[]> {
+  const steps: LabStep[] = await getCollection(lab.data.stepsCollection);
+  return steps.sort((a, b) => a.data.stepNumber - b.data.stepNumber);
+}
+
+/**
+ * A step's estimated duration in minutes (formats are enforced by the content validation)
+ */
+export function getStepMinutes(step: LabStep): number {
+  return parseDuration(step.data.duration) ?? 0;
+}
+
+export interface StepTask {
+  // Heading id of the sub-step in the rendered step
+  id: string;
+  title: string;
+}
+
+// Sub-step headings that become checkable tasks, e.g. "## Step 2: Configure KV Binding"
+const TASK_HEADING_PATTERN = /^Step \d+:/;
+
+/**
+ * A step's checkable tasks: its "## Step N: ..." sub-step headings, in order
+ */
+export async function getStepTasks(step: LabStep): Promise<StepTask[]> {
+  const { headings } = await step.render();
+
+  return headings
+    .filter((heading) => heading.depth === 2 && TASK_HEADING_PATTERN.test(heading.text))
+    .map((heading) => ({ id: heading.slug, title: heading.text }));
+}
+
+/**
+ * Whether a step ends with a knowledge-check quiz, which counts toward its completion
+ * (at most one per step, see the content validation)
+ */
+export function stepHasQuiz(step: LabStep): boolean {
+  return findQuizzes(step.body).length > 0;
+}
+
+export interface LabStats {
+  stepCount: number;
+  totalMinutes: number;
+}
+
+/**
+ * Step count and total estimated time of a lab, e.g. for the /labs landing cards
+ */
+export async function getLabStats(lab: Lab): Promise<LabStats> {
+  const steps = await getLabSteps(lab);
+
+  return {
+    stepCount: steps.length,
+    totalMinutes: steps.reduce((total, step) => total + getStepMinutes(step), 0),
+  };
+}
+
+export interface LabOutline {
+  title: string;
+  steps: {
+    step: number;
+    title: string;
+    href: string;
+    minutes: number;
+    // Task ids (see getStepTasks), for progress computed in the browser
+    tasks: string[];
+    quiz: boolean;
+  }[];
+}
+
+/**
+ * Every lab's steps keyed by lab id, for browser code that computes progress without the
+ * lab page's markup (resume card, instructor dashboard)
+ */
+export async function getLabOutlines(): Promise<Record<string, LabOutline>> {
+  return Object.fromEntries(
+    await Promise.all(
+      (await getLabs()).map(async (lab) => [
+        lab.id,
+        {
+          title: lab.data.title,
+          steps: await Promise.all(
+            (await getLabSteps(lab)).map(async (step) => ({
+              step: step.data.stepNumber,
+              title: step.data.title,
+              href: getStepPath(lab, step),
+              minutes: getStepMinutes(step),
+              tasks: (await getStepTasks(step)).map((task) => task.id),
+              quiz: stepHasQuiz(step),
+            }))
+          ),
+        },
+      ])
+    )
+  );
+}
+
+/**
+ * Site-relative path of a step's own page, e.g. /labs/workers/03-kv-storage
+ */
+export function getStepPath(lab: Lab, step: LabStep): string {
+  return `/labs/${lab.id}/${step.slug}`;
+}
+
+/**
+ * Path of a step's body alone, loaded into the all-steps page when the step is opened
+ */
+export function getStepFragmentPath(lab: Lab, step: LabStep): string {
+  return `${getStepPath(lab, step)}/fragment/`;
+}
+
+/**
+ * Absolute URL of a step's own page, used for canonical and social tags
+ */
+export function getStepUrl(lab: Lab, step: LabStep): string {
+  return `${lab.data.seo.url}/${step.slug}`;
+}
+
+export interface ResolvedPrerequisite {
+  lab: string;
+  labTitle: string;
+  step: number;
+  title: string;
+  href: string;
+  sameLab: boolean;
+}
+
+/**
+ * Resolve a step's prerequisite references to the steps they point at, possibly in other labs
+ */
+export async function resolvePrerequisites(
+  lab: Lab,
+  step: LabStep
+): Promise<ResolvedPrerequisite[]> {
+  const references = step.data.prerequisites?.steps || [];
+
+  return Promise.all(
+    references.map(async (reference) => {
+      const targetLab = reference.lab ? await getLab(reference.lab) : lab;
+      const targetStep = (await getLabSteps(targetLab)).find(
+        (candidate) => candidate.data.stepNumber === reference.step
+      );
+
+      if (!targetStep) {
+        throw new Error(
+          `${step.id} requires step ${reference.step} of lab "${targetLab.id}", which does not exist`
+        );
+      }
+
+      return {
+        lab: targetLab.id,
+        labTitle: targetLab.data.title,
+        step: reference.step,
+        title: targetStep.data.title,
+        href: getStepPath(targetLab, targetStep),
+        sameLab: targetLab.id === lab.id,
+      };
+    })
+  );
+}
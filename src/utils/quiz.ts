@@ -0,0 +1,101 @@
+// Knowledge-check quizzes - question validation for Quiz.astro, and finding quizzes in a step's MDX for the
+// lab helpers (src/utils/labs.ts) and the content validation pass
+
+export type QuizQuestion =
+  | {
+      type: 'single';
+      prompt: string;
+      options: string[];
+      // Index of the correct option
+      answer: number;
+      explanation: string;
+    }
+  | {
+      type: 'multiple';
+      prompt: string;
+      options: string[];
+      // Indexes of every correct option
+      answers: number[];
+      explanation: string;
+    }
+  | {
+      type: 'order';
+      prompt: string;
+      // In the correct order; shown shuffled
+      lines: string[];
+      explanation: string;
+    };
+
+// Share of questions to answer correctly when a quiz doesn't set `passScore`
+export const DEFAULT_PASS_SCORE = 0.7;
+
+// A fenced code block (``` or ~~~, closed by the same fence or the end of the body)
+const CODE_FENCE_PATTERN = /^[ \t]*(`{3,}|~{3,})[^\n]*$[\s\S]*?(?:^[ \t]*\1[ \t]*$|(?![\s\S]))/gm;
+
+/**
+ * Offsets of the <Quiz> components in an MDX body. Code blocks are blanked out first (keeping
+ * offsets), so a `<Quiz` shown in a code sample doesn't count.
+ */
+export function findQuizzes(body: string): number[] {
+  const withoutCode = body.replace(CODE_FENCE_PATTERN, (block) => block.replace(/[^\n]/g, ' '));
+  return [...withoutCode.matchAll(/<Quiz\b/g)].map((match) => match.index);
+}
+
+/**
+ * Number of correct answers needed to pass
+ */
+export function getRequiredScore(questionCount: number, passScore = DEFAULT_PASS_SCORE): number {
+  return Math.ceil(questionCount * passScore);
+}
+
+/**
+ * Problems with a quiz's props, as messages (empty when valid)
+ */
+export function validateQuiz(questions: QuizQuestion[], passScore = DEFAULT_PASS_SCORE): string[] {
+  const problems: string[] = [];
+
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return ['Quiz needs at least one question'];
+  }
+  if (!(passScore > 0 && passScore <= 1)) {
+    problems.push(`Quiz passScore must be between 0 and 1, got ${passScore}`);
+  }
+
+  questions.forEach((question, index) => {
+    const label = `Quiz question ${index + 1}`;
+    const isIndex = (value: unknown, options: string[]) =>
+      Number.isInteger(value) && (value as number) >= 0 && (value as number) < options.length;
+
+    if (!question.prompt || !question.explanation) {
+      problems.push(`${label} needs a prompt and an explanation`);
+    }
+
+    switch (question.type) {
+      case 'single':
+        if (!isIndex(question.answer, question.options ?? [])) {
+          problems.push(`${label}: answer must be the index of one of its options`);
+        }
+        break;
+      case 'multiple':
+        if (
+          !Array.isArray(question.answers) ||
+          question.answers.length === 0 ||
+          !question.answers.every((answer) => isIndex(answer, question.options ?? []))
+        ) {
+          problems.push(`${label}: answers must be indexes of its options`);
+        }
+        break;
+      case 'order':
+        if (!Array.isArray(question.lines) || question.lines.length < 2) {
+          problems.push(`${label}: an order question needs at least two lines`);
+        }
+        break;
+      default:
+        problems.push(
+          `${label}: type must be "single", "multiple" or "order", got ${JSON.stringify((question as { type: unknown }).type)}`
+        );
+    }
+  });
+
+  return problems;
+}
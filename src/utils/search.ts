@@ -0,0 +1,117 @@
+import { getLabs, getLabSteps, getStepPath } from './labs';
+
+export interface SearchEntry {
+  lab: string;
+  labTitle: string;
+  step: number;
+  stepTitle: string;
+  // Section heading; the step title for content before the first heading
+  heading: string;
+  // Heading id on the rendered page, absent for the step intro
+  anchor?: string;
+  href: string;
+  text: string;
+  code: string;
+}
+
+interface Section {
+  heading: string;
+  text: string[];
+  code: string[];
+}
+
+const HEADING_PATTERN = /^(#{2,3})\s+(.+?)\s*#*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Strip MDX/markdown syntax down to searchable text
+ */
+function toPlainText(markdown: string): string {
+  return markdown
+    .replace(/^\s*(import|export)\s.*$/gm, '')
+    .replace(/<\/?[A-Za-z][^>]*>/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`~>|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split an MDX body into heading sections (## and ###), keeping code blocks separate
+ */
+function splitSections(body: string, intro: string): Section[] {
+  const sections: Section[] = [{ heading: intro, text: [], code: [] }];
+  let fence: string | null = null;
+
+  for (const line of body.split('\n')) {
+    const current = sections[sections.length - 1];
+    const fenceMatch = FENCE_PATTERN.exec(line);
+
+    if (fenceMatch && (!fence || fence === fenceMatch[1])) {
+      fence = fence ? null : fenceMatch[1];
+      continue;
+    }
+
+    if (fence) {
+      current.code.push(line);
+      continue;
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      sections.push({ heading: toPlainText(heading[2]), text: [], code: [] });
+    } else {
+      current.text.push(line);
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Build the offline search index for every step of every lab
+ */
+export async function buildSearchIndex(): Promise<SearchEntry[]> {
+  const entries: SearchEntry[] = [];
+
+  for (const lab of await getLabs()) {
+    for (const step of await getLabSteps(lab)) {
+      // Use the heading ids Astro rendered so results can scroll to the exact section
+      const { headings } = await step.render();
+      const path = getStepPath(lab, step);
+      let cursor = 0;
+
+      for (const [index, section] of splitSections(step.body, step.data.title).entries()) {
+        let anchor: string | undefined;
+
+        if (index > 0) {
+          const match = headings.findIndex(
+            (heading, i) => i >= cursor && toPlainText(heading.text) === section.heading
+          );
+          if (match !== -1) {
+            anchor = headings[match].slug;
+            cursor = match + 1;
+          }
+        }
+
+        const text = toPlainText(section.text.join('\n'));
+        const code = section.code.join('\n').replace(/\s+/g, ' ').trim();
+        if (index === 0 && !text && !code) continue;
+
+        entries.push({
+          lab: lab.id,
+          labTitle: lab.data.title,
+          step: step.data.stepNumber,
+          stepTitle: step.data.title,
+          heading: section.heading,
+          anchor,
+          href: anchor ? `${path}#${anchor}` : path,
+          text,
+          code,
+        });
+      }
+    }
+  }
+
+  return entries;
+}
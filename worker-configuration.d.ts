@@ -1,8 +1,10 @@
 /* eslint-disable */
-// Generated by Wrangler by running `wrangler types` (hash: 187132f48ddf0f604882ba8213fe386f)
+// Generated by Wrangler by running `wrangler types` (hash: 03786e61d0dda3ec93f656770cf318bf)
 // Runtime types generated with workerd@1.20250823.0 2025-08-26 global_fetch_strictly_public,nodejs_compat
 declare namespace Cloudflare {
 	interface Env {
+		PROGRESS_SYNC: KVNamespace;
+		COHORTS: D1Database;
 		ASSETS: Fetcher;
 	}
 }